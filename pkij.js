@@ -2,6 +2,7 @@
 "use strict";
 
 const child_process = require("node:child_process");
+const crypto = require("node:crypto");
 const fs = require("node:fs/promises");
 const Path = require("node:path");
 const readline = require('readline');
@@ -18,9 +19,37 @@ const readline = require('readline');
  * @prop {string[]|undefined} additionalNamespaces Additional npm namespaces
  * @prop {string[]|undefined} publishList List of packages to publish in addition to packages with the same namespace as the namespace prop
  * @prop {boolean|undefined} excludeNamespaceFromBuildList If true packages with the same namespace as the namespace prop will not be automatically included in the publishList
+ * @prop {Record<string,EnvVarSchema|EnvVarType>|undefined} env Env variables required by the project or package
+ * @prop {Record<string,string|ScriptDef>|undefined} scripts Scripts that can be ran using --run
+ * @prop {string|undefined} cacheDir Directory where build and script outputs are cached. Only used in the root pkij.json file. Default = ".pkij/cache"
+ *
+ * @typedef ScriptDef
+ * @prop {string|undefined} cmd Command to run
+ * @prop {string[]|undefined} dependsOn Scripts to run before the script. Scripts of other packages are referenced as {pkg}:{name}
+ * @prop {string[]|undefined} parallel Scripts to run in parallel before cmd and after dependsOn
+ * @prop {string|undefined} cwd Directory to run cmd in relative to the package
+ * @prop {Record<string,string>|undefined} env Env variables set when running cmd
+ * @prop {number|undefined} timeout Number of milliseconds cmd can run before failing
+ * @prop {number|undefined} retries Number of times to retry cmd if it fails
+ * @prop {string[]|undefined} outputs Files and directories created by cmd relative to the package. If defined the outputs are cached
+ *
+ * @typedef {'string'|'number'|'boolean'|'url'|'json'} EnvVarType
+ *
+ * @typedef EnvVarSchema
+ * @prop {EnvVarType|undefined} type Default = "string"
+ * @prop {boolean|undefined} required If true the variable must be defined
+ * @prop {(string|number|boolean)[]|undefined} allowed List of allowed values
+ * @prop {string|number|boolean|undefined} default Value used if the variable is not defined
+ * @prop {string|undefined} description
  *
  * @typedef Pkg
- * @prop {string} dir The location of the package
+ * @prop {string} dir The location of the package. When git is defined dir is set to the location of
+ *                   the package in the local clone of the git repository.
+ * @prop {string|undefined} git URL or path of a git repository to inject the package from
+ * @prop {string|undefined} ref Branch, tag or commit of the git repository to inject. Default = "HEAD"
+ * @prop {string|undefined} path Path of the package within the git repository
+ * @prop {string|undefined} gitCommit Do not manually define. The resolved commit of the git repository
+ * @prop {string|undefined} transitiveOf Do not manually define. Key of the injected package that caused this package to be injected
  * @prop {string|undefined} npmName Name of the package as defined in the package's package.json file
  * @prop {string|undefined} dest The destination where the package should be injected
  * @prop {string|undefined} key Do not manually define. A key used to match against other packages.
@@ -29,6 +58,8 @@ const readline = require('readline');
  * @prop {boolean|undefined} disableNpmPackageUpdate If true the injected package will not causes changes to be made the root package.json file to be make
  * @prop {boolean|undefined} isNpmDevDep If true the package is a dev dependency
  * @prop {string|undefined} installedNpmVersion The installed npm version of the package
+ * @prop {LinkMode|undefined} linkMode The link mode used when the package was injected
+ * @prop {string[]|undefined} linkedFiles Do not manually define. Paths of the files linked by the last injection relative to the package
  * @prop {string|undefined} indexPath relative path to a index.ts or index.js file. Default = "src/index.ts"
  * @prop {Record<string,any>} packageJson Package json
  * @prop {Record<string,any>} tsConfig tsconfig json
@@ -43,10 +74,16 @@ const readline = require('readline');
  *
  * @typedef BuildConfig
  * @prop {boolean|undefined} disabled
+ * @prop {BuildFormat[]|undefined} formats Module formats to build library packages in. Each format is built using esbuild into a subfolder of the out dir named after the format
+ * @prop {Record<string,string>|undefined} exports Subpath exports added to the exports field of the built package.json. Keys are subpaths such as "./utils" and values are source files relative to the package such as "src/utils/index.ts"
+ *
+ * @typedef {'esm'|'cjs'} BuildFormat
  *
  * @typedef ScriptTarget
  * @prop {string} name
  * @prop {string} dir
+ *
+ * @typedef {'hard-link'|'sym-link'|'copy'|'dir-link'} LinkMode
  */
 
 const pkijConfigFileName='pkij.json'
@@ -56,9 +93,9 @@ const mergePkgProps=['isNpmDevDep','installedNpmVersion'];
 const currentPkgFile='.pkij-injected-packages.json';
 
 let dryRun=false;
-/** @type {'hard-link'|'sym-link'|'copy'} */
+/** @type {LinkMode} */
 let linkMode='hard-link';
-const linkModes=['hard-link','sym-link','copy'];
+const linkModes=['hard-link','sym-link','copy','dir-link'];
 
 /** @type {string[]} */
 const ignoreList=['.DS_Store','node_modules','venv','__pycache__','.convo-make','.next','dist'];
@@ -74,6 +111,39 @@ let packageJsonFileChanged=false;
 let verbose=false;
 let skipNpmInstall=false;
 let deleteUnlinked=false;
+/** If true files created in the destination of injected packages are moved into the package source without prompting */
+let moveNewFiles=false;
+let watch=false;
+let useCache=true;
+/** @type {string|undefined} */
+let cacheDir=undefined;
+const defaultCacheDir='.pkij/cache';
+/** Changing the cache version invalidates all cached outputs */
+const cacheVersion='1';
+/** Globs of files that restart scripts ran with --run and --watch */
+const watchGlobs=[];
+let showStatus=false;
+let transitive=true;
+let force=false;
+/** @type {string|undefined} */
+let savePatchFile=undefined;
+let savePatchStarted=false;
+/** @type {string|undefined} */
+let applyPatchFile=undefined;
+const patchPackagePrefix='pkij-package: ';
+/** @type {'undo'|'finish'|null|undefined} */
+let recoverMode=undefined;
+const recoverModes=['undo','finish'];
+/** Directory pkij stores its journal, caches and temporary files in */
+const pkijDir='.pkij';
+const journalDir='.pkij/journal';
+const journalFile=Path.join(journalDir,'journal.jsonl');
+let reconcile=false;
+/** @type {'source'|'dest'|'conflict'|'newer'} */
+let reconcileDefault='conflict';
+const reconcileModes=['source','dest','conflict','newer'];
+/** Number of milliseconds to wait for file changes to settle before syncing watched files */
+const watchDebounceMs=100;
 
 let migrateNxTsConfig=false;
 let publishPackages=false;
@@ -86,11 +156,63 @@ let cleanProject=false;
 let runTests=undefined;
 let minOutput=false;
 let disableBranchEnv=false;
+let envPrint=false;
+/** @type {'env'|'json'|'sh'|undefined} */
+let envExport=undefined;
+/** @type {string|undefined} */
+let envExportFile=undefined;
+const envExportFormats=['env','json','sh'];
+/** Extension of encrypted env files. Encrypted env files are loaded in place of or before the plain file */
+const encryptedEnvExt='.enc';
+const encryptedEnvHeader='pkij-enc:v1:';
+/** Name of the env variable that can be used to supply the key of encrypted env files */
+const envKeyVar='PKIJ_ENV_KEY';
+let envKeyFile='.env.key';
+/** @type {string[]} */
+const envEncryptPaths=[];
+/** @type {string[]} */
+const envDecryptPaths=[];
+/** @type {string|undefined} */
+let envEditPath=undefined;
+/** Names of env variables matching this pattern have their values masked when printed */
+const secretEnvNameReg=/secret|password|passwd|token|api_?key|private_?key|credential|(^|_)auth($|_)|_pwd$/i;
+/** Printed in place of masked env values. Fixed width so that the length of values is not revealed */
+const maskedEnvValue='********';
 const branchEnvInsert='//branch'
 const branchLocalEnvInsert='//branch-local'
 const loadEnvs=['.env','.env.secrets',branchEnvInsert,'.env.local','.env.local-secrets',branchLocalEnvInsert];
 /** @type {ScriptTarget[]} */
 const scriptTargets=[];
+/** @type {string|undefined} */
+let sinceRef=undefined;
+/**
+ * Dirs of packages affected by changes since sinceRef
+ * @type {string[]|undefined}
+ */
+let affectedDirs=undefined;
+/**
+ * Changes to these files in the root of the project affect all packages. tsconfig.json is not
+ * included because its references are rewritten by pkij.
+ */
+const rootAffectFiles=['package.json','package-lock.json','yarn.lock','pnpm-lock.yaml','tsconfig.base.json','pkij.json'];
+/** Arguments passed to scripts ran by --run and --run-all */
+const scriptArgs=[];
+/** Names of scripts to run in all packages */
+const runAllScripts=[];
+/** Max number of scripts or builds ran at the same time */
+let concurrency=4;
+/** If true independent packages continue to be built or ran after a package fails */
+let continueOnError=false;
+/**
+ * Path of a JSON report written after builds
+ * @type {string|undefined}
+ */
+let reportFile=undefined;
+/**
+ * Path of a Chrome trace event file written after builds
+ * @type {string|undefined}
+ */
+let reportTraceFile=undefined;
 
 const main=async ()=>{
 
@@ -108,14 +230,11 @@ const main=async ()=>{
 
     let clearEnv=false;
 
-    const addInjectedToAsync=async (dic,path)=>{
+    const addInjectedToAsync=async (dic,path,ejecting=false)=>{
         /** @type {Pkg[]} */
-        const pkgs=await getInjectedPkgsAsync(path);
+        const pkgs=await getInjectedPkgsAsync(path,ejecting);
         for(const p of pkgs){
-            let abs=(await fs.realpath(p.dir)).toLowerCase();
-            if(abs.endsWith('/')){
-                abs=abs.substring(0,abs.length-1);
-            }
+            const abs=await getPkgDirKeyAsync(p.dir);
             if(!dic[abs]){
                 dic[abs]=p;
             }
@@ -153,6 +272,10 @@ const main=async ()=>{
         const next=nextAll[0]??'';
 
         const currentArg=process.argv[i]
+        if(currentArg==='--'){
+            scriptArgs.push(...process.argv.slice(i+1));
+            break;
+        }
         switch(currentArg){
 
             case '--inject':
@@ -170,10 +293,10 @@ const main=async ()=>{
                 hasAction=true;
                 if(nextAll.length){
                     for(const n of nextAll){
-                        await addInjectedToAsync(eject,n);
+                        await addInjectedToAsync(eject,n,true);
                     }
                 }else{
-                    await addInjectedToAsync(eject,pkijConfigFileName);
+                    await addInjectedToAsync(eject,pkijConfigFileName,true);
                 }
                 break;
 
@@ -187,6 +310,53 @@ const main=async ()=>{
                 clearEnv=true;
                 loadEnvs.splice(0,loadEnvs.length);
                 break;
+
+            case '--env-encrypt':
+                if(!nextAll.length){
+                    throw new Error('--env-encrypt requires at least one env file path');
+                }
+                envEncryptPaths.push(...nextAll);
+                hasAction=true;
+                break;
+
+            case '--env-decrypt':
+                if(!nextAll.length){
+                    throw new Error('--env-decrypt requires at least one env file path');
+                }
+                envDecryptPaths.push(...nextAll);
+                hasAction=true;
+                break;
+
+            case '--env-edit':
+                if(!next){
+                    throw new Error('--env-edit requires an env file path');
+                }
+                envEditPath=next;
+                hasAction=true;
+                break;
+
+            case '--env-key-file':
+                if(!next){
+                    throw new Error('--env-key-file requires a file path');
+                }
+                envKeyFile=next;
+                break;
+
+            case '--env-print':
+                envPrint=true;
+                hasAction=true;
+                minOutput=true;
+                break;
+
+            case '--env-export':
+                if(!envExportFormats.includes(nextAll[0])){
+                    throw new Error(`--env-export requires a format of ${envExportFormats.join(', ')}`);
+                }
+                envExport=nextAll[0];
+                envExportFile=nextAll[1];
+                hasAction=true;
+                minOutput=true;
+                break;
             
             case '--yes':
                 yes=true;
@@ -221,6 +391,13 @@ const main=async ()=>{
                 await initBuildAsync(nextAll);
                 break;
 
+            case '--since':
+                if(!next){
+                    throw new Error('--since requires a git ref');
+                }
+                sinceRef=next;
+                break;
+
             case '--build-peer-internal-only':
                 buildPeerInternalOnly=true;
                 break;
@@ -265,13 +442,31 @@ const main=async ()=>{
                 hasAction=true;
                 minOutput=true;
                 for(const t of nextAll){
-                    const i=t.indexOf(':');
-                    if(i===-1){
-                        scriptTargets.push({name:t,dir:'.'})
-                    }else{
-                        const p=t.substring(0,i);
-                        scriptTargets.push({name:t.substring(i+1),dir:(p.includes('/') || p.includes('\\'))?p:`packages/${p}`})
-                    }
+                    scriptTargets.push(parseScriptTarget(t));
+                }
+                break;
+
+            case '--run-all':
+                if(!nextAll.length){
+                    throw new Error('--run-all requires a script name');
+                }
+                hasAction=true;
+                minOutput=true;
+                runAllScripts.push(...nextAll);
+                break;
+
+            case '--args':
+                scriptArgs.push(...nextAll);
+                break;
+
+            case '--continue-on-error':
+                continueOnError=true;
+                break;
+
+            case '--concurrency':
+                concurrency=Number(next);
+                if(!Number.isInteger(concurrency) || concurrency<1){
+                    throw new Error('--concurrency requires a number greater than 0');
                 }
                 break;
 
@@ -288,8 +483,8 @@ const main=async ()=>{
                 break;
 
             case '--link':
-                if(linkModes.includes(next)){
-                    throw new Error(`Invalid link mode. modes = ${linkMode.join(', ')}`)
+                if(!linkModes.includes(next)){
+                    throw new Error(`Invalid link mode. modes = ${linkModes.join(', ')}`)
                 }
                 linkMode=next;
                 console.info(`link mode set to "${linkMode}"`)
@@ -327,6 +522,90 @@ const main=async ()=>{
                 deleteUnlinked=true;
                 break;
 
+            case '--move-new-files':
+                moveNewFiles=true;
+                break;
+
+
+            case '--reconcile':
+                reconcile=true;
+                break;
+
+            case '--reconcile-default':
+                if(!reconcileModes.includes(next)){
+                    throw new Error(`Invalid reconcile default. modes = ${reconcileModes.join(', ')}`);
+                }
+                reconcile=true;
+                reconcileDefault=next;
+                break;
+
+            case '--recover':
+                if(next && !recoverModes.includes(next)){
+                    throw new Error(`Invalid recover mode. modes = ${recoverModes.join(', ')}`);
+                }
+                recoverMode=next||null;
+                hasAction=true;
+                break;
+
+            case '--save-patch':
+                if(!next){
+                    throw new Error('--save-patch requires a file path');
+                }
+                savePatchFile=next;
+                break;
+
+            case '--apply-patch':
+                if(!next){
+                    throw new Error('--apply-patch requires a file path');
+                }
+                applyPatchFile=next;
+                hasAction=true;
+                break;
+
+            case '--force':
+                force=true;
+                break;
+
+            case '--cache-dir':
+                if(!next){
+                    throw new Error('--cache-dir requires a directory path');
+                }
+                cacheDir=next;
+                break;
+
+            case '--no-cache':
+                useCache=false;
+                break;
+
+            case '--report':
+                if(!next){
+                    throw new Error('--report requires a file path');
+                }
+                reportFile=next;
+                break;
+
+            case '--report-trace':
+                if(!next){
+                    throw new Error('--report-trace requires a file path');
+                }
+                reportTraceFile=next;
+                break;
+
+            case '--no-transitive':
+                transitive=false;
+                break;
+
+            case '--status':
+                showStatus=true;
+                hasAction=true;
+                minOutput=true;
+                break;
+
+            case '--watch':
+                watch=true;
+                hasAction=true;
+                watchGlobs.push(...nextAll);
+                break;
 
             case '--ignore':
                 if(next){
@@ -396,25 +675,94 @@ const main=async ()=>{
         process.exit(1);
     }
 
-    
+    for(const path of envEncryptPaths){
+        await encryptEnvFileAsync(path);
+    }
+
+    for(const path of envDecryptPaths){
+        await decryptEnvFileAsync(path);
+    }
+
+    if(envEditPath){
+        await editEnvFileAsync(envEditPath);
+    }
+
     for(const env of loadEnvs){
         await loadEnvAsync(env);
     }
 
+    if(!await validateEnvSchemasAsync()){
+        if(scriptTargets.length || buildPaths.length){
+            throw new Error('Env schema not satisfied');
+        }
+        console.warn('\x1b[33mEnv schema not satisfied\x1b[0m');
+    }
+
+    if(envPrint){
+        printEnv();
+    }
+
+    if(envExport){
+        await exportEnvAsync(envExport,envExportFile);
+    }
+
     if(cleanProject){
         await cleanProjectAsync();
     }
 
-    for(const absPath in inject){
-        await injectAsync(inject[absPath]);
+    if(recoverMode!==undefined){
+        await recoverAsync(recoverMode);
         updateTsConfigs=true;
     }
 
-    for(const absPath in eject){
-        await ejectAsync(eject[absPath]);
+    if(transitive){
+        await addTransitiveInjectionsAsync(inject);
+        await addTransitiveEjectionsAsync(eject);
+    }
+
+    /** @type {JournalAction[]} */
+    const journalActions=[
+        ...Object.values(inject).map(pkg=>({action:'inject',pkg})),
+        ...Object.values(eject).map(pkg=>({action:'eject',pkg})),
+    ];
+    if(journalActions.length){
+        await runJournaledActionsAsync(journalActions);
         updateTsConfigs=true;
     }
 
+    if(applyPatchFile){
+        await applyPatchAsync(applyPatchFile);
+    }
+
+    if(showStatus){
+        if(!await statusAsync()){
+            process.exitCode=1;
+        }
+    }
+
+    if(sinceRef){
+        affectedDirs=await getAffectedPackageDirsAsync(sinceRef);
+        const isAffected=(dir)=>affectedDirs.includes(Path.join(dir));
+        if(buildPaths.length){
+            const all=buildPaths.splice(0,buildPaths.length);
+            buildPaths.push(...all.filter(isAffected));
+        }
+        if(publishList){
+            publishList=publishList.filter(isAffected);
+            if(!publishList.length){
+                console.info('No affected packages to publish');
+                publishPackages=false;
+            }
+        }
+        if(runTests){
+            runTests=(runTests===true?(await getScopePackagesAsync()).map(p=>p.dir):runTests).filter(isAffected);
+            if(!runTests.length){
+                console.info('No affected packages to test');
+                runTests=undefined;
+            }
+        }
+    }
+
     if(updateTsConfigs){
         await loadBuildPackagesAsync();
         await updateTsConfigsAsync();
@@ -460,11 +808,23 @@ const main=async ()=>{
     }
 
     if(scriptTargets.length){
-        for(const t of scriptTargets){
-            await runScriptAsync(t);
+        if(watch){
+            await watchScriptsAsync(scriptTargets);
+        }else{
+            for(const t of scriptTargets){
+                await runScriptAsync(t);
+            }
         }
     }
 
+    for(const name of runAllScripts){
+        await runAllAsync(name);
+    }
+
+    if(watch && !scriptTargets.length){
+        await watchInjectedPackagesAsync();
+    }
+
     if(!minOutput){
         console.log('pkij done');
     }
@@ -488,136 +848,1275 @@ const getGitBranchAsync=async ()=>{
 }
 
 /**
- * @param {ScriptTarget} target 
+ * Parses a script target in the format of [pkg]:name. If pkg does not contain a slash a path of
+ * packages/{pkg} is used.
+ * @param {string} value
+ * @param {string} defaultDir Directory used when value does not include a pkg
+ * @returns {ScriptTarget}
  */
-const runScriptAsync=async (target)=>{
+const parseScriptTarget=(value,defaultDir='.')=>{
+    const i=value.indexOf(':');
+    if(i===-1){
+        return {name:value,dir:defaultDir};
+    }
+    const p=value.substring(0,i);
+    return {name:value.substring(i+1),dir:!p?'.':(p.includes('/') || p.includes('\\'))?p:`packages/${p}`};
+}
 
-    const tryRunObjScriptAsync=async (filePath)=>{
+/**
+ * @typedef FoundScript
+ * @prop {string|undefined} cmd Undefined for script objects that only define dependencies
+ * @prop {string} cwd
+ * @prop {string} source Path of the file that defines the script
+ * @prop {boolean} placeholders If true argument placeholders in cmd are filled
+ * @prop {ScriptDef} def
+ */
+
+/**
+ * Finds a script by name in the directory of a script target. Null is returned if no script is found.
+ * @param {ScriptTarget} target
+ * @returns {Promise<FoundScript|null>}
+ */
+const findScriptAsync=async (target)=>{
+
+    for(const filePath of [Path.join(target.dir,pkijConfigFileName),Path.join(target.dir,'package.json')]){
         const obj=await loadJsonOrDefaultAsync(filePath,null);
-        let script=obj?.scripts?.[target.name];
+        const script=obj?.scripts?.[target.name];
         if(script){
-            if(verbose){
-                console.log(`run ${filePath}{.scripts[${target.name}]}`)
-            }
-            await spawnAsync({
-                dryRun,
-                cmd:script,
-                cwd:target.dir,
-                exitWithErrorCode:true,
-            });
-            return true;
-        }else{
-            return false;
+            /** @type {ScriptDef} */
+            const def=(typeof script==='string')?{cmd:script}:script;
+            return {
+                cmd:def.cmd,
+                cwd:def.cwd?Path.join(target.dir,def.cwd):target.dir,
+                source:`${filePath}{.scripts[${target.name}]}`,
+                placeholders:true,
+                def,
+            };
         }
     }
 
-    const tryRunShellFileAsync=async (filePath)=>{
-        if(!await existsAsync(filePath)){
-            return false;
+    for(const filePath of [Path.join(target.dir,`${target.name}.sh`),Path.join(target.dir,'scripts',`${target.name}.sh`)]){
+        if(await existsAsync(filePath)){
+            return {cmd:`./${Path.basename(filePath)}`,cwd:Path.dirname(filePath),source:filePath,placeholders:false,def:{}};
         }
-        if(verbose){
-            console.log(`run ${filePath}`)
+    }
+
+    return null;
+}
+
+/**
+ * @param {ScriptTarget} target
+ */
+const runScriptAsync=async (target)=>{
+    await checkScriptCyclesAsync(target);
+    try{
+        await runTaskAsync(target,{args:scriptArgs});
+    }catch(ex){
+        if(typeof ex==='number'){
+            process.exit(ex);
         }
-        await spawnAsync({
-            dryRun,
-            cmd:`./${Path.basename(filePath)}`,
-            cwd:Path.dirname(filePath),
-            exitWithErrorCode:true,
+        throw ex;
+    }
+}
+
+/**
+ * @typedef RunTaskOptions
+ * @prop {string[]|undefined} args Arguments passed to the script. Dependencies do not receive arguments
+ * @prop {number|undefined} prefixWidth If defined output is prefixed with the package name padded to the width
+ * @prop {CancelToken|undefined} cancel When cancelled running processes are killed and no new processes are started
+ */
+
+/**
+ * Running and completed tasks by task key
+ * @type {Record<string,Promise<void>>}
+ */
+const tasks={};
+
+/**
+ * @param {ScriptTarget} target
+ * @param {string[]} args
+ * @returns {string}
+ */
+const getTaskKey=(target,args=[])=>normPath(Path.resolve(target.dir))+':'+target.name+(args.length?'\0'+JSON.stringify(args):'');
+
+/**
+ * Runs a script and its dependencies. Each script is ran at most once per invocation for each set
+ * of arguments unless it fails.
+ * @param {ScriptTarget} target
+ * @param {RunTaskOptions} options
+ * @returns {Promise<void>}
+ */
+const runTaskAsync=(target,options={})=>{
+    const key=getTaskKey(target,options.args);
+    if(!tasks[key]){
+        const task=runTaskCoreAsync(target,options);
+        tasks[key]=task;
+        // failed tasks are removed so that they are ran again when next requested
+        task.catch(()=>{
+            if(tasks[key]===task){
+                delete tasks[key];
+            }
         });
-        return true;
     }
+    return tasks[key];
+}
 
-    if(await tryRunObjScriptAsync(Path.join(target.dir,pkijConfigFileName))){
-        return;
+/**
+ * @param {ScriptTarget} target
+ * @param {RunTaskOptions} options
+ */
+const runTaskCoreAsync=async (target,{args=[],prefixWidth,cancel})=>{
+    const script=await findScriptAsync(target);
+    if(!script){
+        throw new Error(`No script found by target - ${target.dir}:${target.name}`);
     }
+    const {def}=script;
+    const depOptions={prefixWidth,cancel};
 
-    if(await tryRunObjScriptAsync(Path.join(target.dir,'package.json'))){
-        return;
+    for(const dep of def.dependsOn??[]){
+        await runTaskAsync(parseScriptTarget(dep,target.dir),depOptions);
     }
-    
-    if(await tryRunShellFileAsync(Path.join(target.dir,`${target.name}.sh`))){
-        return;
+
+    if(def.parallel){
+        await Promise.all(def.parallel.map(p=>runTaskAsync(parseScriptTarget(p,target.dir),depOptions)));
     }
-    
-    if(await tryRunShellFileAsync(Path.join(target.dir,'scripts',`${target.name}.sh`))){
+
+    if(!script.cmd){
         return;
     }
 
-    throw new Error(`No script found by target - ${target.dir}:${target.name}`);
-}
+    const env=await getPackageEnvAsync(target.dir);
+    const outputs=def.outputs?.map(o=>Path.join(target.dir,o));
+    const cacheKey=(useCache && outputs)?await getScriptCacheKeyAsync(target,script,args,outputs):null;
+    if(cacheKey && await restoreCacheAsync(cacheKey,outputs)){
+        console.info(`cache hit: ${target.dir}:${target.name}`);
+        return;
+    }
 
-/**
- * @param {string} path 
- */
-const loadEnvAsync=async (path)=>{
-    const text=await loadTextOrDefaultAsync(path,'');
-    if(path.toLowerCase().endsWith('.json')){
-        const obj=JSON.parse(text);
-        for(const e in obj){
-            const v=obj[e];
-            if(v===null || v===undefined){
-                continue;
-            }
-            if(verbose){
-                console.log(`env ${path}:${e}`);
-            }
-            if(typeof v === 'object'){
-                process.env[e]=JSON.stringify(v);
-            }else{
-                process.env[e]=v+'';
-            }
+    const retries=def.retries??0;
+    for(let attempt=0;;attempt++){
+        if(cancel?.cancelled){
+            throw new Error(`${target.dir}:${target.name} cancelled`);
         }
-    }else{
-        const lines=text.split('\n').map(l=>l.trim());
-        for(const line of lines){
-            if(!line || line.startsWith('#')){
-                continue;
+        if(verbose){
+            console.log(`run ${script.source}`)
+        }
+        let timedOut=false;
+        let timer=undefined;
+        try{
+            await spawnAsync({
+                dryRun,
+                cmd:createScriptCommand(script,args),
+                cwd:script.cwd,
+                outPrefix:prefixWidth===undefined?undefined:`${Path.basename(Path.resolve(target.dir)).padEnd(prefixWidth)} | `,
+                env:def.env?{...env,...def.env}:env,
+                cancel,
+                // processes that may be killed are given their own process group so that processes
+                // they start are killed with them
+                detached:(def.timeout || cancel)?true:false,
+                onChild:def.timeout?(child=>{
+                    timer=setTimeout(()=>{
+                        timedOut=true;
+                        killProcessGroup(child);
+                    },def.timeout);
+                }):undefined,
+            });
+            if(cancel?.cancelled){
+                throw new Error(`${target.dir}:${target.name} cancelled`);
             }
-            const i=line.indexOf('=');
-            if(i===-1){
-                continue;
+            if(timedOut){
+                throw new Error(`${target.dir}:${target.name} timed out after ${def.timeout}ms`);
             }
-            const name=line.substring(0,i).trim();
-            const value=line.substring(i+1).trim();
-            if(verbose){
-                console.log(`env ${path}:${name}`);
+            if(cacheKey){
+                await saveCacheAsync(cacheKey,outputs);
+            }
+            return;
+        }catch(ex){
+            if(attempt>=retries || cancel?.cancelled){
+                throw ex;
             }
-            process.env[name]=value;
+            console.warn(`\x1b[33mretry ${attempt+1}/${retries}: ${target.dir}:${target.name}\x1b[0m`);
+        }finally{
+            clearTimeout(timer);
         }
     }
 }
 
 /**
- * Reads a line of text from the terminal
- * @param {string} message
- * @returns {Promise<string>}
+ * Runs scripts and restarts them when files in their package directories change. Running processes
+ * are killed before restarting. Watching continues until the process is stopped.
+ * @param {ScriptTarget[]} targets
  */
-const promptAsync=(message)=>{
-    const rl=readline.createInterface({
-        input:process.stdin,
-        output:process.stdout
-    });
+const watchScriptsAsync=async (targets)=>{
+    for(const t of targets){
+        await checkScriptCyclesAsync(t);
+    }
 
-    return new Promise((resolve)=>{
+    const globRegs=watchGlobs.map(globToRegExp);
+    let cancel=createCancelToken();
+    /** @type {Promise<void>} */
+    let running=Promise.resolve();
 
-        rl.question(message+' ',(value)=>{
-            rl.close();
-            resolve(value);
-        });
-    })
-}
-/**
- * @param {string} message 
- * @returns {Promise<boolean>}
- */
-const promptYesNoAsync=async (message)=>{
-    const r=await promptAsync(message+' [y/N]');
-    return r.trim().toLowerCase()==='y';
-}
+    const start=()=>{
+        for(const key in tasks){
+            delete tasks[key];
+        }
+        const runCancel=cancel;
+        running=(async ()=>{
+            try{
+                for(const t of targets){
+                    await runTaskAsync(t,{
+                        args:scriptArgs,
+                        cancel:runCancel,
+                    });
+                }
+                console.info('script complete. waiting for changes');
+            }catch(ex){
+                if(!runCancel.cancelled){
+                    console.error(`\x1b[31mscript failed${typeof ex==='number'?` with exit code ${ex}`:''}. waiting for changes\x1b[0m`,typeof ex==='number'?'':ex);
+                }
+            }
+        })();
+    }
 
+    let restartTimeout=undefined;
+    /** @type {string[]} */
+    const changes=[];
+    const queueRestart=(path)=>{
+        if(!changes.includes(path)){
+            changes.push(path);
+        }
+        clearTimeout(restartTimeout);
+        restartTimeout=setTimeout(async ()=>{
+            console.info(`change: ${changes.splice(0,changes.length).join(', ')}. restarting`);
+            cancel.cancel();
+            await running;
+            cancel=createCancelToken();
+            start();
+        },watchDebounceMs);
+    }
 
-/**
- * Executes a shell command
+    /**
+     * @param {string} dir
+     */
+    const watchDirAsync=async (dir)=>{
+        await watchDirTreeAsync(
+            dir,
+            name=>ignoreList.includes(name) || name==='.git' || name===pkijDir,
+            filename=>{
+                const relPath=normPath(filename);
+                if(globRegs.length && !globRegs.some(r=>r.test(relPath))){
+                    return;
+                }
+                queueRestart(Path.relative('.',Path.join(dir,filename)));
+            }
+        );
+    }
+
+    const dirs=[];
+    for(const t of targets){
+        if(!dirs.includes(Path.resolve(t.dir))){
+            dirs.push(Path.resolve(t.dir));
+        }
+    }
+    console.info(`watching ${dirs.map(d=>Path.relative('.',d)||'.').join(', ')}. Press Ctrl+C to stop`);
+    start();
+    await Promise.all(dirs.map(watchDirAsync));
+}
+
+/**
+ * Converts a glob to a regular expression. Supports *, **, ? and {a,b}. Globs without a slash
+ * match file names in any directory.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+const globToRegExp=(glob)=>{
+    let reg='';
+    let braces=0;
+    for(let i=0;i<glob.length;i++){
+        const c=glob[i];
+        if(c==='*'){
+            if(glob[i+1]==='*'){
+                i++;
+                if(glob[i+1]==='/'){
+                    i++;
+                    reg+='(?:.*/)?';
+                }else{
+                    reg+='.*';
+                }
+            }else{
+                reg+='[^/]*';
+            }
+        }else if(c==='?'){
+            reg+='[^/]';
+        }else if(c==='{'){
+            braces++;
+            reg+='(?:';
+        }else if(c==='}' && braces){
+            braces--;
+            reg+=')';
+        }else if(c===',' && braces){
+            reg+='|';
+        }else{
+            reg+=c.replace(/[.+^$()|[\]\\]/g,'\\$&');
+        }
+    }
+    return new RegExp((glob.includes('/')?'^':'(?:^|/)')+reg+'$');
+}
+
+/**
+ * Throws an error if a script directly or indirectly depends on itself
+ * @param {ScriptTarget} target
+ * @param {string[]} stack Keys of the scripts that depend on the target
+ * @param {Set<string>} checked Keys of scripts already checked
+ */
+const checkScriptCyclesAsync=async (target,stack=[],checked=new Set())=>{
+    const key=getTaskKey(target);
+    if(stack.includes(key)){
+        const names=[...stack.slice(stack.indexOf(key)),key].map(k=>Path.relative('.',k.substring(0,k.lastIndexOf(':')))+k.substring(k.lastIndexOf(':')));
+        throw new Error(`Circular script dependency: ${names.join(' -> ')}`);
+    }
+    if(checked.has(key)){
+        return;
+    }
+    checked.add(key);
+    const script=await findScriptAsync(target);
+    for(const dep of [...(script?.def.dependsOn??[]),...(script?.def.parallel??[])]){
+        await checkScriptCyclesAsync(parseScriptTarget(dep,target.dir),[...stack,key],checked);
+    }
+}
+
+const scriptPlaceholderReg=/\$\{(\d+|[A-Za-z_]\w*|@)(?::-((?:[^{}]|\{[^{}]*\})*))?\}/g;
+const namedScriptArgReg=/^([A-Za-z_]\w*)=([\s\S]*)$/;
+
+/**
+ * Creates the command of a script with arguments applied. For scripts defined in a scripts object
+ * ${1}, ${name} and ${@} placeholders are replaced with positional args, name=value args and all
+ * args. Args used by placeholders are not appended to the command, all other args are appended.
+ * Placeholders without a matching arg are left as is so that the shell can apply default values
+ * defined as ${1:-default} or ${name:-default} or use env variables of the same name.
+ * @param {FoundScript} script
+ * @param {string[]} args
+ * @returns {string}
+ */
+const createScriptCommand=(script,args)=>{
+    if(!script.placeholders){
+        return [script.cmd,...args.map(quoteShellArg)].join(' ');
+    }
+
+    const positional=[];
+    /** @type {Record<string,{value:string,i:number}>} */
+    const named={};
+    args.forEach((arg,i)=>{
+        const match=namedScriptArgReg.exec(arg);
+        if(match){
+            named[match[1]]={value:match[2],i};
+        }else{
+            positional.push({value:arg,i});
+        }
+    });
+
+    const used=new Set();
+    const cmd=script.cmd.replace(scriptPlaceholderReg,(placeholder,name)=>{
+        if(name==='@'){
+            args.forEach((_,i)=>used.add(i));
+            return args.map(quoteShellArg).join(' ');
+        }
+        const arg=/^\d+$/.test(name)?positional[Number(name)-1]:named[name];
+        if(!arg){
+            return placeholder;
+        }
+        used.add(arg.i);
+        return quoteShellArg(arg.value);
+    });
+
+    return [cmd,...args.filter((_,i)=>!used.has(i)).map(quoteShellArg)].join(' ');
+}
+
+/**
+ * Runs a script in all packages that define the script. Packages are ran in dependency order and
+ * packages that do not depend on each other are ran in parallel.
+ * @param {string} name
+ */
+const runAllAsync=async (name)=>{
+    await loadBuildPackagesAsync();
+
+    /** @type {Record<string,FoundScript>} */
+    const scripts={};
+    for(const dir of await getPackageDirsAsync()){
+        if(affectedDirs && !affectedDirs.includes(dir)){
+            continue;
+        }
+        const script=await findScriptAsync({name,dir});
+        if(script){
+            scripts[dir]=script;
+        }else if(verbose){
+            console.log(`skip ${dir}, no ${name} script`);
+        }
+    }
+    const dirs=Object.keys(scripts);
+    if(!dirs.length){
+        if(affectedDirs){
+            console.info(`No affected packages define a ${name} script`);
+            return;
+        }
+        throw new Error(`No packages define a ${name} script`);
+    }
+
+    let envValid=true;
+    for(const dir of dirs){
+        if(!await validatePackageEnvSchemaAsync(dir)){
+            envValid=false;
+        }
+    }
+    if(!envValid){
+        throw new Error('Env schema not satisfied');
+    }
+
+    for(const dir of dirs){
+        await checkScriptCyclesAsync({name,dir});
+    }
+
+    const prefixWidth=Math.max(...dirs.map(d=>Path.basename(d).length));
+    const failed=[];
+    try{
+        await runInDependencyOrderAsync(dirs,getBuildPkgDepDirs,async dir=>{
+            try{
+                await runTaskAsync({name,dir},{args:scriptArgs,prefixWidth});
+            }catch(ex){
+                failed.push(dir);
+                throw ex;
+            }
+        });
+    }catch(ex){
+        if(!failed.length){
+            throw ex;
+        }
+    }
+
+    if(failed.length){
+        throw new Error(`${name} failed in ${failed.join(', ')}`);
+    }
+}
+
+/**
+ * Returns the dirs of packages with files changed since a git ref and all packages that directly or
+ * indirectly depend on them. Committed, uncommitted and untracked changes are included. If files in
+ * the root of the project that affect all packages changed all packages are returned.
+ * @param {string} ref
+ * @returns {Promise<string[]>}
+ */
+const getAffectedPackageDirsAsync=async (ref)=>{
+    const git=(cmd)=>spawnAsync({cmd,silent:true,stderr:()=>{}});
+    let base=ref;
+    try{
+        base=(await git(`git merge-base ${quoteShellArg(ref)} HEAD`)).trim()||ref;
+    }catch{
+        // ref is not an ancestor candidate, compare directly against the ref
+    }
+    let changed;
+    try{
+        changed=[
+            ...(await git(`git diff --name-only --relative ${quoteShellArg(base)}`)).split('\n'),
+            ...(await git('git ls-files --others --exclude-standard')).split('\n'),
+        ].map(f=>f.trim()).filter(f=>f);
+    }catch{
+        throw new Error(`Unable to get changes since ${ref}`);
+    }
+
+    await loadBuildPackagesAsync();
+    const allDirs=await getPackageDirsAsync();
+
+    if(changed.some(f=>rootAffectFiles.includes(f))){
+        if(!minOutput || verbose){
+            console.info(`Root project files changed since ${ref}. All packages affected`);
+        }
+        return allDirs;
+    }
+
+    const affected=[];
+    for(const file of changed){
+        const parts=file.split('/');
+        const dir=Path.join(parts[0],parts[1]??'');
+        if(parts.length>2 && parts[0]==='packages' && allDirs.includes(dir) && !affected.includes(dir)){
+            affected.push(dir);
+        }
+    }
+
+    for(let i=0;i<affected.length;i++){
+        const npmName=buildPkgs.find(p=>p.dir===affected[i])?.npmName;
+        if(!npmName){
+            continue;
+        }
+        for(const pkg of buildPkgs){
+            if(pkg.deps?.includes(npmName) && !affected.includes(pkg.dir)){
+                affected.push(pkg.dir);
+            }
+        }
+    }
+
+    if(!minOutput || verbose){
+        console.info(`Packages affected since ${ref}:${affected.length?'\n  '+affected.join('\n  '):' none'}`);
+    }
+    return affected;
+}
+
+/**
+ * Returns the directories of all packages in the packages directory
+ * @returns {Promise<string[]>}
+ */
+const getPackageDirsAsync=async ()=>{
+    if(!await existsAsync('./packages')){
+        return [];
+    }
+    const dirs=await fs.readdir('./packages',{withFileTypes:true});
+    return dirs.filter(d=>d.isDirectory() && !ignoreList.includes(d.name)).map(d=>Path.join('packages',d.name));
+}
+
+/**
+ * Returns the directories of the internal packages a package directory depends on. Build packages
+ * must be loaded before calling.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+const getBuildPkgDepDirs=(dir)=>{
+    const pkg=buildPkgs.find(p=>p.dir===dir);
+    if(!pkg?.deps){
+        return [];
+    }
+    return pkg.deps.map(d=>buildPkgs.find(p=>p.npmName===d)?.dir).filter(d=>d && d!==dir);
+}
+
+/**
+ * Runs a callback for each item after the callbacks of the item's dependencies complete. Dependencies
+ * not included in items are followed so that indirect dependencies are still ordered. If a callback
+ * fails no new callbacks are started and the error is thrown after running callbacks complete. If
+ * continueOnFail is true callbacks of items that do not depend on a failed item are still ran and
+ * the first error is thrown after all callbacks complete.
+ * @template T
+ * @param {T[]} items
+ * @param {(item:T)=>T[]} getDeps
+ * @param {(item:T)=>Promise<void>} callback
+ * @param {number} max Max number of callbacks to run at the same time
+ * @param {boolean} continueOnFail
+ */
+const runInDependencyOrderAsync=async (items,getDeps,callback,max=concurrency,continueOnFail=continueOnError)=>{
+
+    /** @type {Map<T,T[]>} */
+    const depMap=new Map();
+    for(const item of items){
+        const deps=[];
+        const visited=new Set([item]);
+        const stack=[...getDeps(item)];
+        while(stack.length){
+            const dep=stack.pop();
+            if(visited.has(dep)){
+                continue;
+            }
+            visited.add(dep);
+            if(items.includes(dep)){
+                deps.push(dep);
+            }else{
+                stack.push(...getDeps(dep));
+            }
+        }
+        depMap.set(item,deps);
+    }
+
+    const pending=[...items];
+    const done=new Set();
+    /** Failed items and items skipped because a dependency failed */
+    const failed=new Set();
+    /** @type {Set<Promise<void>>} */
+    const running=new Set();
+    let error=undefined;
+
+    /**
+     * Skips pending items that depend on failed or skipped items. Skipping an item can cause items
+     * earlier in the pending list to be skipped so passes are repeated until nothing is skipped.
+     */
+    const skipDependentsOfFailed=()=>{
+        let skipped=true;
+        while(skipped){
+            skipped=false;
+            for(let i=0;i<pending.length;i++){
+                if(depMap.get(pending[i]).some(d=>failed.has(d))){
+                    failed.add(pending[i]);
+                    pending.splice(i,1);
+                    i--;
+                    skipped=true;
+                }
+            }
+        }
+    }
+
+    while(pending.length || running.size){
+        if(!error || continueOnFail){
+            skipDependentsOfFailed();
+            for(let i=0;i<pending.length && running.size<max;i++){
+                const item=pending[i];
+                const deps=depMap.get(item);
+                if(!deps.every(d=>done.has(d))){
+                    continue;
+                }
+                pending.splice(i,1);
+                i--;
+                const promise=callback(item).then(()=>{
+                    done.add(item);
+                },ex=>{
+                    error??=ex;
+                    failed.add(item);
+                }).finally(()=>{
+                    running.delete(promise);
+                });
+                running.add(promise);
+            }
+        }
+        if(!running.size){
+            if(pending.length && (!error || continueOnFail)){
+                throw new Error(`Circular dependency between ${pending.join(', ')}`);
+            }
+            break;
+        }
+        await Promise.race(running);
+    }
+
+    if(error){
+        throw error;
+    }
+}
+
+/**
+ * Loads an env file into the target env
+ * @param {string} path
+ * @param {Record<string,string|undefined>} target Default = process.env
+ */
+const loadEnvAsync=async (path,target=process.env)=>{
+    const encrypted=path.endsWith(encryptedEnvExt);
+    if(!encrypted && await existsAsync(path+encryptedEnvExt)){
+        await loadEnvAsync(path+encryptedEnvExt,target);
+    }
+    const text=encrypted?await loadEncryptedEnvTextAsync(path):await loadTextOrDefaultAsync(path,'');
+    if(text===null){
+        return;
+    }
+    const plainPath=encrypted?path.substring(0,path.length-encryptedEnvExt.length):path;
+    if(plainPath.toLowerCase().endsWith('.json')){
+        const obj=JSON.parse(text);
+        for(const e in obj){
+            const v=obj[e];
+            if(v===null || v===undefined){
+                continue;
+            }
+            if(verbose){
+                console.log(`env ${path}:${e}`);
+            }
+            addEnvSource(e,path,target);
+            if(typeof v === 'object'){
+                target[e]=JSON.stringify(v);
+            }else{
+                target[e]=v+'';
+            }
+        }
+    }else{
+        const values=parseEnv(text,name=>target[name]);
+        for(const name in values){
+            if(verbose){
+                console.log(`env ${path}:${name}`);
+            }
+            addEnvSource(name,path,target);
+            target[name]=values[name];
+        }
+    }
+}
+
+/**
+ * Returns the key used to encrypt and decrypt env files. The key is read from the PKIJ_ENV_KEY env
+ * variable or the env key file.
+ * @param {boolean} create If true and no key exists a new key is generated and written to the env key file
+ * @returns {Promise<string|null>}
+ */
+const getEnvKeyAsync=async (create=false)=>{
+    const key=process.env[envKeyVar]?.trim() || (await loadTextOrDefaultAsync(envKeyFile,'')).trim();
+    if(key || !create){
+        return key||null;
+    }
+    const newKey=crypto.randomBytes(32).toString('base64');
+    console.info(`create env key: ${envKeyFile}`);
+    console.warn(`\x1b[33m${envKeyFile} must not be committed. Share it with your team using a secure channel\x1b[0m`);
+    if(!dryRun){
+        await fs.writeFile(envKeyFile,newKey+'\n',{mode:0o600});
+    }
+    await ignoreEnvKeyFileAsync();
+    return newKey;
+}
+
+/**
+ * Adds the env key file to the root .gitignore so that it is not committed next to encrypted env files
+ */
+const ignoreEnvKeyFileAsync=async ()=>{
+    if(!await addGitIgnorePathAsync(envKeyFile)){
+        console.warn(`\x1b[33m${envKeyFile} is outside of the directory of ${gitIgnoreFile} and can not be ignored\x1b[0m`);
+    }
+}
+
+/**
+ * Encrypts text using AES-256-GCM with a key derived from the env key
+ * @param {string} text
+ * @param {string} key
+ * @returns {string}
+ */
+const encryptEnvText=(text,key)=>{
+    const salt=crypto.randomBytes(16);
+    const iv=crypto.randomBytes(12);
+    const cipher=crypto.createCipheriv('aes-256-gcm',crypto.scryptSync(key,salt,32),iv);
+    const data=Buffer.concat([cipher.update(text,'utf8'),cipher.final()]);
+    return encryptedEnvHeader+[salt,iv,cipher.getAuthTag(),data].map(b=>b.toString('base64')).join(':')+'\n';
+}
+
+/**
+ * Decrypts text encrypted by encryptEnvText
+ * @param {string} text
+ * @param {string} key
+ * @param {string} path Path of the encrypted file used in error messages
+ * @returns {string}
+ */
+const decryptEnvText=(text,key,path)=>{
+    text=text.trim();
+    if(!text.startsWith(encryptedEnvHeader)){
+        throw new Error(`${path} is not an encrypted env file`);
+    }
+    const parts=text.substring(encryptedEnvHeader.length).split(':').map(p=>Buffer.from(p,'base64'));
+    if(parts.length!==4){
+        throw new Error(`${path} is not an encrypted env file`);
+    }
+    const [salt,iv,tag,data]=parts;
+    try{
+        const decipher=crypto.createDecipheriv('aes-256-gcm',crypto.scryptSync(key,salt,32),iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data),decipher.final()]).toString('utf8');
+    }catch{
+        throw new Error(`Unable to decrypt ${path}. The env key is invalid or the file has been modified`);
+    }
+}
+
+/**
+ * Loads and decrypts an encrypted env file. Null is returned if the file does not exist or no env
+ * key is available.
+ * @param {string} path
+ * @returns {Promise<string|null>}
+ */
+const loadEncryptedEnvTextAsync=async (path)=>{
+    const text=await loadTextOrDefaultAsync(path,null);
+    if(text===null){
+        return null;
+    }
+    const key=await getEnvKeyAsync();
+    if(!key){
+        console.warn(`\x1b[33mSkipping ${path}, no env key found in ${envKeyVar} or ${envKeyFile}\x1b[0m`);
+        return null;
+    }
+    return decryptEnvText(text,key,path);
+}
+
+/**
+ * Encrypts a plain env file and writes it to the same path with an .enc extension
+ * @param {string} path
+ */
+const encryptEnvFileAsync=async (path)=>{
+    if(path.endsWith(encryptedEnvExt)){
+        path=path.substring(0,path.length-encryptedEnvExt.length);
+    }
+    const text=await loadTextOrDefaultAsync(path,null);
+    if(text===null){
+        throw new Error(`Env file not found: ${path}`);
+    }
+    const key=await getEnvKeyAsync(true);
+    console.info(`encrypt env: ${path} -> ${path+encryptedEnvExt}`);
+    if(!dryRun){
+        await fs.writeFile(path+encryptedEnvExt,encryptEnvText(text,key));
+    }
+}
+
+/**
+ * Decrypts an encrypted env file and writes it to the same path without the .enc extension
+ * @param {string} path
+ */
+const decryptEnvFileAsync=async (path)=>{
+    const encPath=path.endsWith(encryptedEnvExt)?path:path+encryptedEnvExt;
+    const text=await loadTextOrDefaultAsync(encPath,null);
+    if(text===null){
+        throw new Error(`Encrypted env file not found: ${encPath}`);
+    }
+    const key=await getEnvKeyAsync();
+    if(!key){
+        throw new Error(`No env key found in ${envKeyVar} or ${envKeyFile}`);
+    }
+    const plainPath=encPath.substring(0,encPath.length-encryptedEnvExt.length);
+    const plain=decryptEnvText(text,key,encPath);
+    console.info(`decrypt env: ${encPath} -> ${plainPath}`);
+    if(!dryRun){
+        await fs.writeFile(plainPath,plain,{mode:0o600});
+    }
+}
+
+/**
+ * Decrypts an encrypted env file to a temporary file, opens the file in the editor defined by the
+ * VISUAL or EDITOR env variable then encrypts the edited file. If the encrypted file does not
+ * exist it is created.
+ * @param {string} path
+ */
+const editEnvFileAsync=async (path)=>{
+    const encPath=path.endsWith(encryptedEnvExt)?path:path+encryptedEnvExt;
+    const key=await getEnvKeyAsync(true);
+    const encText=await loadTextOrDefaultAsync(encPath,null);
+    const text=encText===null?'':decryptEnvText(encText,key,encPath);
+
+    // the decrypted copy is written to a private temporary directory that is always removed
+    await fs.mkdir(pkijDir,{recursive:true});
+    await addGitIgnorePathAsync(pkijDir);
+    const tmpDir=await fs.mkdtemp(Path.join(pkijDir,'env-edit-'));
+    const tmpPath=Path.join(tmpDir,Path.basename(encPath.substring(0,encPath.length-encryptedEnvExt.length)));
+    try{
+        await fs.writeFile(tmpPath,text,{mode:0o600});
+        const editor=(process.env['VISUAL']||process.env['EDITOR']||(process.platform==='win32'?'notepad':'vi')).split(' ').filter(a=>a);
+        await execAsync(editor[0],[...editor.slice(1),tmpPath]);
+        const edited=await loadTextAsync(tmpPath);
+        if(edited===text && encText!==null){
+            console.info(`env unchanged: ${encPath}`);
+            return;
+        }
+        console.info(`encrypt env: ${encPath}`);
+        if(!dryRun){
+            await fs.writeFile(encPath,encryptEnvText(edited,key));
+        }
+    }finally{
+        await fs.rm(tmpDir,{recursive:true,force:true});
+    }
+}
+
+/**
+ * Files that set each env variable in the order the files were loaded
+ * @type {Record<string,string[]>}
+ */
+const envSources={};
+
+/**
+ * Records the source of an env variable. Only sources of the root env are recorded.
+ * @param {string} name
+ * @param {string} source
+ * @param {Record<string,string|undefined>} target The env the variable was loaded into
+ */
+const addEnvSource=(name,source,target=process.env)=>{
+    if(target!==process.env){
+        return;
+    }
+    if(!envSources[name]){
+        envSources[name]=[];
+    }
+    envSources[name].push(source);
+}
+
+/**
+ * Cache of package envs by package directory
+ * @type {Record<string,Promise<Record<string,string|undefined>>>}
+ */
+const packageEnvs={};
+
+/**
+ * Returns the env used to run scripts and builds of a package. The env is a copy of the root env with
+ * the package's own env files loaded on top using the same file names as the root env, including
+ * branch and local variants. Env files passed to --env as paths are only loaded in the root env.
+ * The root directory uses process.env.
+ * @param {string} dir
+ * @returns {Promise<Record<string,string|undefined>>}
+ */
+const getPackageEnvAsync=(dir)=>{
+    if(Path.resolve(dir)===process.cwd()){
+        return Promise.resolve(process.env);
+    }
+    const key=Path.resolve(dir);
+    if(!packageEnvs[key]){
+        packageEnvs[key]=(async ()=>{
+            const env={...process.env};
+            for(const name of loadEnvs){
+                if(!name.includes('/') && !name.includes('\\')){
+                    await loadEnvAsync(Path.join(dir,name),env);
+                }
+            }
+            return env;
+        })();
+    }
+    return packageEnvs[key];
+}
+
+/**
+ * Validates the loaded env against the env schemas defined in the root pkij.json file and the
+ * pkij.json files of the packages being ran or built. Package schemas are validated against the
+ * env of the package. Default values of missing variables are applied.
+ * @returns {Promise<boolean>} true if all schemas are satisfied
+ */
+const validateEnvSchemasAsync=async ()=>{
+    const dirs=['.'];
+    for(const dir of [...scriptTargets.map(t=>t.dir),...buildPaths]){
+        if(!dirs.includes(dir)){
+            dirs.push(dir);
+        }
+    }
+
+    let valid=true;
+    for(const dir of dirs){
+        if(!await validatePackageEnvSchemaAsync(dir)){
+            valid=false;
+        }
+    }
+    return valid;
+}
+
+/**
+ * Validates the env of a package against the env schema of the package's pkij.json file
+ * @param {string} dir
+ * @returns {Promise<boolean>}
+ */
+const validatePackageEnvSchemaAsync=async (dir)=>{
+    const configPath=Path.join(dir,pkijConfigFileName);
+    /** @type {Config|null} */
+    const config=await loadJsonOrDefaultAsync(configPath,null);
+    return config?.env?validateEnvSchema(config.env,configPath,await getPackageEnvAsync(dir)):true;
+}
+
+/**
+ * Validates an env against an env schema and prints a report if the schema is not satisfied
+ * @param {Record<string,EnvVarSchema|EnvVarType>} schema
+ * @param {string} schemaPath
+ * @param {Record<string,string|undefined>} env Default = process.env
+ * @returns {boolean}
+ */
+const validateEnvSchema=(schema,schemaPath,env=process.env)=>{
+    const report=[];
+    let valid=true;
+    for(const name in schema){
+        /** @type {EnvVarSchema} */
+        const def=typeof schema[name]==='string'?{type:schema[name]}:schema[name];
+        if(env[name]===undefined && def.default!==undefined){
+            env[name]=def.default+'';
+            addEnvSource(name,`${schemaPath} (default)`,env);
+        }
+        const value=env[name];
+        const error=value===undefined?
+            (def.required?'missing':null):
+            getEnvValueError(value,def);
+        if(error){
+            valid=false;
+        }
+        const source=env===process.env?
+            (envSources[name]?.[envSources[name].length-1]??(value===undefined?'-':'process env')):
+            (value===undefined?'-':'package env');
+        report.push({name,status:error??'ok',source});
+    }
+
+    if(!valid || verbose){
+        console.log(`env schema: ${schemaPath}`);
+        for(const r of report){
+            const color=r.status==='ok'?'32':'31';
+            console.log(`  \x1b[${color}m${r.status}\x1b[0m ${r.name} - ${r.source}`);
+        }
+    }
+    return valid;
+}
+
+/**
+ * Returns an error message if an env value does not satisfy its schema
+ * @param {string} value
+ * @param {EnvVarSchema} def
+ * @returns {string|null}
+ */
+const getEnvValueError=(value,def)=>{
+    switch(def.type??'string'){
+
+        case 'number':
+            if(!value.trim() || isNaN(Number(value))){
+                return 'invalid number';
+            }
+            break;
+
+        case 'boolean':
+            if(!/^(true|false|1|0|yes|no)$/i.test(value)){
+                return 'invalid boolean';
+            }
+            break;
+
+        case 'url':
+            try{
+                new URL(value);
+            }catch{
+                return 'invalid url';
+            }
+            break;
+
+        case 'json':
+            try{
+                JSON.parse(value);
+            }catch{
+                return 'invalid json';
+            }
+            break;
+    }
+    if(def.allowed && !def.allowed.some(a=>a+''===value)){
+        return `not allowed (${def.allowed.join(', ')})`;
+    }
+    return null;
+}
+
+/**
+ * Returns true if the value of an env variable should be masked when printed. Variables with a
+ * secret like name or that were set by a secrets file are masked.
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isSecretEnv=(name)=>{
+    return secretEnvNameReg.test(name) || (envSources[name]?.some(s=>/[.-]secrets(\.json)?$|\.enc$/i.test(s))??false);
+}
+
+/**
+ * Prints all env variables loaded by pkij, their final values and the files that set them in the
+ * order they were loaded.
+ */
+const printEnv=()=>{
+    const names=Object.keys(envSources);
+    if(!names.length){
+        console.log('No env variables loaded');
+        return;
+    }
+    for(const name of names){
+        const value=process.env[name]??'';
+        console.log(`${name}=${isSecretEnv(name)?maskedEnvValue:JSON.stringify(value)}`);
+        for(const source of envSources[name]){
+            console.log(`  ${source}`);
+        }
+    }
+}
+
+/**
+ * Writes all env variables loaded by pkij as a .env file, JSON object or shell script of export
+ * statements. If path is not supplied the result is written to stdout.
+ * @param {'env'|'json'|'sh'} format
+ * @param {string|undefined} path
+ */
+const exportEnvAsync=async (format,path)=>{
+    /** @type {Record<string,string>} */
+    const values={};
+    for(const name in envSources){
+        if(process.env[name]!==undefined){
+            values[name]=process.env[name];
+        }
+    }
+
+    let out;
+    switch(format){
+
+        case 'json':
+            out=JSON.stringify(values,null,4)+'\n';
+            break;
+
+        case 'env':
+            out=Object.keys(values).map(name=>`${name}="${values[name]
+                .replace(/\\/g,'\\\\')
+                .replace(/"/g,'\\"')
+                .replace(/\$/g,'\\$')
+                .replace(/\n/g,'\\n')
+                .replace(/\r/g,'\\r')
+            }"\n`).join('');
+            break;
+
+        case 'sh':
+            out='';
+            for(const name in values){
+                if(!/^[A-Za-z_]\w*$/.test(name)){
+                    console.warn(`\x1b[33mSkipping ${name}, not a valid shell variable name\x1b[0m`);
+                    continue;
+                }
+                out+=`export ${name}='${values[name].replace(/'/g,"'\\''")}'\n`;
+            }
+            break;
+    }
+
+    if(path){
+        console.info(`env export: ${path}`);
+        if(!dryRun){
+            await fs.writeFile(path,out);
+        }
+    }else{
+        process.stdout.write(out);
+    }
+}
+
+const envLineReg=/^[ \t]*(?:export[ \t]+)?([\w.-]+)[ \t]*=[ \t]*/;
+const envNameReg=/^[A-Za-z_]\w*/;
+const envExprReg=/^([A-Za-z_]\w*)(?:(:?-)([\s\S]*))?$/;
+
+/**
+ * Parses the content of a .env file. The format is compatible with dotenv.
+ * - Lines can be prefixed with `export`
+ * - Values can be quoted with single quotes, double quotes or backticks and quoted values can span
+ *   multiple lines. A quote character inside a value can be escaped with a backslash.
+ * - Single quoted values are used as is
+ * - Double quoted values support the escapes \n, \r, \t, \\, \" and \$
+ * - Unquoted values are trimmed and can end with a # comment
+ * - ${NAME}, ${NAME:-default}, ${NAME-default} and $NAME are expanded in all but single quoted
+ *   values using values defined earlier in the file or already loaded values
+ * @param {string} text
+ * @param {(name:string)=>string|undefined} getLoadedValue
+ * @returns {Record<string,string>}
+ */
+const parseEnv=(text,getLoadedValue)=>{
+    /** @type {Record<string,string>} */
+    const values={};
+    const lookup=(name)=>values[name]??getLoadedValue(name);
+
+    text=text.replace(/\r\n?/g,'\n');
+    let i=0;
+    while(i<text.length){
+        let lineEnd=text.indexOf('\n',i);
+        if(lineEnd===-1){
+            lineEnd=text.length;
+        }
+        const line=text.substring(i,lineEnd);
+        const match=envLineReg.exec(line);
+        if(!match){
+            i=lineEnd+1;
+            continue;
+        }
+        const name=match[1];
+        const start=i+match[0].length;
+        const quote=text[start];
+
+        if(quote==='"' || quote==="'" || quote==='`'){
+            let end=start+1;
+            while(end<text.length && text[end]!==quote){
+                end+=text[end]==='\\'?2:1;
+            }
+            if(end<text.length){
+                const raw=text.substring(start+1,end);
+                values[name]=quote==="'"?
+                    raw.replace(/\\'/g,"'"):
+                    expandEnvValue(raw,quote==='"'?'double':'backtick',lookup);
+                lineEnd=text.indexOf('\n',end);
+                i=lineEnd===-1?text.length:lineEnd+1;
+                continue;
+            }
+            // unterminated quotes are treated as an unquoted value
+        }
+
+        let raw=text.substring(start,lineEnd);
+        const comment=raw.search(/(^|\s)#/);
+        if(comment!==-1){
+            raw=raw.substring(0,comment);
+        }
+        values[name]=expandEnvValue(raw.trim(),'unquoted',lookup);
+        i=lineEnd+1;
+    }
+
+    return values;
+}
+
+/**
+ * Handles escapes and variable expansion of an env value
+ * @param {string} raw
+ * @param {'double'|'backtick'|'unquoted'} mode
+ * @param {(name:string)=>string|undefined} lookup
+ * @returns {string}
+ */
+const expandEnvValue=(raw,mode,lookup)=>{
+    let out='';
+    for(let i=0;i<raw.length;i++){
+        const c=raw[i];
+
+        if(c==='\\' && i+1<raw.length){
+            const n=raw[i+1];
+            if(mode==='double'){
+                out+=n==='n'?'\n':n==='r'?'\r':n==='t'?'\t':n;
+                i++;
+                continue;
+            }
+            if(n==='$' || (mode==='backtick' && n==='`')){
+                out+=n;
+                i++;
+                continue;
+            }
+            out+=c;
+            continue;
+        }
+
+        if(c==='$'){
+            if(raw[i+1]==='{'){
+                let depth=1;
+                let end=i+2;
+                for(;end<raw.length;end++){
+                    if(raw[end]==='{'){
+                        depth++;
+                    }else if(raw[end]==='}' && !--depth){
+                        break;
+                    }
+                }
+                const expr=envExprReg.exec(raw.substring(i+2,end));
+                if(end<raw.length && expr){
+                    const [,name,op,defaultValue]=expr;
+                    const value=lookup(name);
+                    if(op && (op==='-'?value===undefined:!value)){
+                        out+=expandEnvValue(defaultValue,mode,lookup);
+                    }else{
+                        out+=value??'';
+                    }
+                    i=end;
+                    continue;
+                }
+            }else{
+                const name=envNameReg.exec(raw.substring(i+1))?.[0];
+                if(name){
+                    out+=lookup(name)??'';
+                    i+=name.length;
+                    continue;
+                }
+            }
+        }
+
+        out+=c;
+    }
+    return out;
+}
+
+/**
+ * Reads a line of text from the terminal
+ * @param {string} message
+ * @returns {Promise<string>}
+ */
+const promptAsync=(message)=>{
+    const rl=readline.createInterface({
+        input:process.stdin,
+        output:process.stdout
+    });
+
+    return new Promise((resolve)=>{
+
+        rl.question(message+' ',(value)=>{
+            rl.close();
+            resolve(value);
+        });
+    })
+}
+/**
+ * @param {string} message 
+ * @returns {Promise<boolean>}
+ */
+const promptYesNoAsync=async (message)=>{
+    const r=await promptAsync(message+' [y/N]');
+    return r.trim().toLowerCase()==='y';
+}
+
+
+/**
+ * Executes a shell command
  * @param {string} cmd
  * @param {string[]} args
  * @param {boolean} silent
@@ -645,6 +2144,15 @@ const execAsync=(
     })
 }
 
+/**
+ * Quotes a value so that it is passed to a shell command as a single argument
+ * @param {string} value
+ * @returns {string}
+ */
+const quoteShellArg=(value)=>{
+    return /^[\w@%+=:,./-]+$/.test(value)?value:`'${value.replace(/'/g,"'\\''")}'`;
+}
+
 
 /**
  * @typedef SpawnOptions
@@ -664,7 +2172,94 @@ const execAsync=(
  * @prop {boolean|undefined} logPid
  * @prop {boolean|undefined} dryRun
  * @prop {boolean|undefined} exitWithErrorCode
+ * @prop {Record<string,string|undefined>|undefined} env Env variables of the spawned process. Default = process.env
+ * @prop {boolean|undefined} detached If true the process is started in its own process group and the
+ *                                    group is killed when cancelled or when pkij is interrupted
+ */
+
+/**
+ * @typedef CancelToken
+ * @prop {boolean} cancelled
+ * @prop {()=>void} cancel
+ * @prop {(callback:()=>void)=>void} onCancelOrNextTick Calls the callback when the token is cancelled
+ *                                                       or on the next tick if already cancelled
+ */
+
+/**
+ * @returns {CancelToken}
+ */
+const createCancelToken=()=>{
+    /** @type {(()=>void)[]} */
+    const callbacks=[];
+    /** @type {CancelToken} */
+    const token={
+        cancelled:false,
+        cancel:()=>{
+            if(token.cancelled){
+                return;
+            }
+            token.cancelled=true;
+            for(const callback of callbacks.splice(0,callbacks.length)){
+                callback();
+            }
+        },
+        onCancelOrNextTick:(callback)=>{
+            if(token.cancelled){
+                process.nextTick(callback);
+            }else{
+                callbacks.push(callback);
+            }
+        },
+    }
+    return token;
+}
+
+/**
+ * Running processes started with the detached option
+ * @type {Set<ChildProcess>}
+ */
+const detachedChildren=new Set();
+let detachedSignalsHandled=false;
+
+/**
+ * Kills a process and the processes it started. Processes not started with the detached option are
+ * killed directly.
+ * @param {ChildProcess} child
+ * @param {NodeJS.Signals} signal
+ */
+const killProcessGroup=(child,signal='SIGTERM')=>{
+    try{
+        if(detachedChildren.has(child) && child.pid!==undefined){
+            process.kill(-child.pid,signal);
+        }else{
+            child.kill(signal);
+        }
+    }catch{
+        // process already exited
+    }
+}
+
+/**
+ * Tracks a detached process so that its process group is killed when pkij is interrupted. Detached
+ * processes do not receive signals sent to the terminal's process group.
+ * @param {ChildProcess} child
  */
+const trackDetachedChild=(child)=>{
+    detachedChildren.add(child);
+    child.on('exit',()=>detachedChildren.delete(child));
+    if(detachedSignalsHandled){
+        return;
+    }
+    detachedSignalsHandled=true;
+    for(const signal of /** @type {NodeJS.Signals[]} */(['SIGINT','SIGTERM'])){
+        process.on(signal,()=>{
+            for(const c of detachedChildren){
+                killProcessGroup(c,signal);
+            }
+            process.exit(signal==='SIGINT'?130:143);
+        });
+    }
+}
 
 
 /**
@@ -692,6 +2287,8 @@ const spawnAsync=(
         cancel,
         logPid,
         dryRun,
+        env,
+        detached,
     }=options;
 
     if(dryRun){
@@ -699,13 +2296,21 @@ const spawnAsync=(
         return Promise.resolve('');
     }
 
+    const prefixStdout=createLinePrefixer(outPrefix);
+    const prefixStderr=createLinePrefixer(outPrefix);
+
     return new Promise((r,j)=>{
 
         let child=undefined;
         const outData=[];
 
         try{
-            child=child_process.spawn(cmd,{cwd,shell:true});
+            // process groups are not supported on windows
+            const useGroup=detached && process.platform!=='win32';
+            child=child_process.spawn(cmd,{cwd,shell:true,env,detached:useGroup});
+            if(useGroup){
+                trackDetachedChild(child);
+            }
             if(logPid){
                 if(!silent){
                     stdout?.(`pid(${child.pid}) > `+cmd);
@@ -743,11 +2348,11 @@ const spawnAsync=(
             }else if(code && throwOnError){
                 j(code);
             }else{
-                r(outData.join());
+                r(outData.join(''));
             }
         });
-        child.on('disconnect',()=>r(outData.join()));
-        child.on('close',()=>r(outData.join()));
+        child.on('disconnect',()=>r(outData.join('')));
+        child.on('close',()=>r(outData.join('')));
         child.stdout.setEncoding('utf8');
         child.stdout.on('data',(data)=>{
                 
@@ -760,7 +2365,16 @@ const spawnAsync=(
             }
             out?.(data);
             if(!silent){
-                stdout?.(outPrefix?outPrefix+data:data);
+                const lines=prefixStdout(data);
+                if(lines){
+                    stdout?.(lines);
+                }
+            }
+        });
+        child.stdout.on('end',()=>{
+            const rest=prefixStdout(null);
+            if(rest && !silent){
+                stdout?.(rest);
             }
         });
         child.stderr.setEncoding('utf8');
@@ -772,14 +2386,21 @@ const spawnAsync=(
                 onError('err',data)
             }
             out?.(data);
-            stderr?.(outPrefix?outPrefix+data:data);
+            const lines=prefixStderr(data);
+            if(lines){
+                stderr?.(lines);
+            }
+        });
+        child.stderr.on('end',()=>{
+            const rest=prefixStderr(null);
+            if(rest){
+                stderr?.(rest);
+            }
         });
         onChild?.(child);
         cancel?.onCancelOrNextTick(()=>{
-            try{
-                child?.kill();
-            }catch{
-                // do nothing
+            if(child){
+                killProcessGroup(child);
             }
         });
     })
@@ -787,12 +2408,42 @@ const spawnAsync=(
 
 
 
+/**
+ * Returns a function that prefixes each line of a stream of output chunks. Partial lines are
+ * buffered until their newline is received so that lines of processes writing at the same time are
+ * not mixed. Passing null flushes a buffered partial line.
+ * @param {string} prefix
+ * @returns {(data:string|null)=>string}
+ */
+const createLinePrefixer=(prefix)=>{
+    if(!prefix){
+        return data=>data??'';
+    }
+    let buffer='';
+    return (data)=>{
+        if(data===null){
+            const out=buffer?prefix+buffer+'\n':'';
+            buffer='';
+            return out;
+        }
+        buffer+=data;
+        const end=buffer.lastIndexOf('\n')+1;
+        if(!end){
+            return '';
+        }
+        const lines=buffer.substring(0,end);
+        buffer=buffer.substring(end);
+        return prefix+lines.replace(/\n(?=[^])/g,'\n'+prefix);
+    }
+}
+
 /**
  * Get package info from either a config file path or package directory path
  * @param {string} path
+ * @param {boolean} ejecting If true packages are being loaded to be ejected
  & @returns {Promise<Pkg[]>}
  */
-const getInjectedPkgsAsync=async (path)=>{
+const getInjectedPkgsAsync=async (path,ejecting=false)=>{
 
     try{
 
@@ -808,6 +2459,9 @@ const getInjectedPkgsAsync=async (path)=>{
                 ignoreList.push(...config.ignore);
             }
             for(const pkg of config.inject){
+                if(pkg.git){
+                    await checkoutGitPkgAsync(pkg,ejecting);
+                }
                 await populatePkgAsync(pkg);
                 pkgs.push(pkg);
             }
@@ -818,10 +2472,308 @@ const getInjectedPkgsAsync=async (path)=>{
             pkgs.push(pkg);
         }
 
-        return pkgs;
-    }catch(ex){
-        console.error(`Unable to get package info from ${path}`,ex);
-        throw ex;
+        return pkgs;
+    }catch(ex){
+        console.error(`Unable to get package info from ${path}`,ex);
+        throw ex;
+    }
+}
+
+const gitCacheDir='.pkij/git';
+
+/**
+ * @typedef GitCheckoutChange
+ * @prop {string} cloneDir
+ * @prop {string} prevCommit The commit checked out before the current commit
+ * @prop {string[]} files Paths of files that changed between the commits relative to the clone
+ */
+
+/**
+ * Files changed by checking out a new commit of a git package by the absolute path of the package
+ * dir. Checking out replaces changed files which breaks their links.
+ * @type {Record<string,GitCheckoutChange>}
+ */
+const gitCheckoutChanges={};
+
+/**
+ * Clones or fetches the git repository of a package into the git cache, checks out the package's
+ * ref and sets the dir of the package to the location of the package in the clone. When ejecting,
+ * the commit recorded when the package was injected is checked out without fetching so that the
+ * files match the injected files.
+ * @param {Pkg} pkg
+ * @param {boolean} ejecting
+ */
+const checkoutGitPkgAsync=async (pkg,ejecting)=>{
+    const url=(await existsAsync(pkg.git))?Path.resolve(pkg.git):pkg.git;
+    const ref=pkg.ref||'HEAD';
+    const hash=crypto.createHash('sha1').update(url+'#'+ref).digest('hex').substring(0,12);
+    const name=Path.basename(url).replace(/\.git$/i,'').replace(/[^\w-]/g,'_');
+    const cloneDir=Path.join(gitCacheDir,`${name}-${hash}`);
+
+    const git=(args)=>spawnAsync({
+        cmd:`git ${args}`,
+        cwd:cloneDir,
+        silent:true,
+        throwOnError:true,
+    });
+
+    /** @type {Pkg|undefined} */
+    const current=ejecting?
+        (await loadJsonOrDefaultAsync(currentPkgFile,[])).find(c=>c.git===pkg.git && (c.ref||'HEAD')===ref && c.path===pkg.path):
+        undefined;
+
+    const needsClone=!await existsAsync(Path.join(cloneDir,'.git'));
+    if(needsClone){
+        console.info(`git clone: ${url} -> ${cloneDir}`);
+        await fs.mkdir(cloneDir,{recursive:true});
+        await addGitIgnorePathAsync(pkijDir);
+        await git(`clone --quiet --no-checkout ${quoteShellArg(url)} .`);
+    }else if(!current?.gitCommit){
+        if(verbose){
+            console.log(`git fetch: ${url}`);
+        }
+        try{
+            await git('fetch --quiet --tags --force origin');
+        }catch(ex){
+            console.warn(`\x1b[33mUnable to fetch ${url}. Using cached clone\x1b[0m`);
+        }
+    }
+
+    let commit=current?.gitCommit;
+    if(!commit){
+        for(const candidate of [`origin/${ref}`,ref]){
+            try{
+                commit=(await git(`rev-parse --verify --quiet ${quoteShellArg(candidate+'^{commit}')}`)).trim();
+                break;
+            }catch{
+                // try next candidate
+            }
+        }
+    }
+    if(!commit){
+        throw new Error(`Unable to resolve git ref ${ref} of ${url}`);
+    }
+
+    // Files are only checked out when the commit changes. Checking out files replaces them which
+    // breaks the links of files already injected from the clone. The changed files are recorded so
+    // that they can be relinked.
+    let head=null;
+    if(!needsClone){
+        head=(await git('rev-parse --verify --quiet HEAD')).trim();
+    }
+    pkg.dir=Path.join(cloneDir,pkg.path??'');
+    if(head!==commit){
+        console.info(`git checkout: ${url}#${ref} (${commit})`);
+        await git(`checkout --quiet --detach ${quoteShellArg(commit)}`);
+        if(head){
+            gitCheckoutChanges[Path.resolve(pkg.dir)]={
+                cloneDir,
+                prevCommit:head,
+                files:(await git(`diff --name-only -z ${quoteShellArg(head)} ${quoteShellArg(commit)}`)).split('\0').filter(f=>f),
+            }
+        }
+    }
+
+    pkg.gitCommit=commit;
+}
+
+/**
+ * Returns true if the link of an injected file was broken by checking out a new commit of its git
+ * package and the injected file has not been changed since it was linked to the previous commit.
+ * @param {Pkg} pkg
+ * @param {string} srcPath
+ * @param {string} destPath
+ * @returns {Promise<boolean>}
+ */
+const isReplacedByGitCheckoutAsync=async (pkg,srcPath,destPath)=>{
+    const change=gitCheckoutChanges[Path.resolve(pkg.dir)];
+    if(!change){
+        return false;
+    }
+    const relPath=normPath(Path.relative(change.cloneDir,srcPath));
+    if(!change.files.includes(relPath)){
+        return false;
+    }
+    const git=(args)=>spawnAsync({
+        cmd:`git ${args}`,
+        cwd:change.cloneDir,
+        silent:true,
+        stderr:()=>{},
+    });
+    try{
+        const [prevBlob,destBlob]=await Promise.all([
+            git(`rev-parse --verify --quiet ${quoteShellArg(`${change.prevCommit}:${relPath}`)}`),
+            git(`hash-object --path=${quoteShellArg(relPath)} ${quoteShellArg(Path.resolve(destPath))}`),
+        ]);
+        return prevBlob.trim()===destBlob.trim();
+    }catch{
+        return false;
+    }
+}
+
+/**
+ * Returns a key used to identify a package by the real path of its directory
+ * @param {string} dir
+ * @returns {Promise<string>}
+ */
+const getPkgDirKeyAsync=async (dir)=>{
+    let abs=(await fs.realpath(dir)).toLowerCase();
+    if(abs.endsWith('/')){
+        abs=abs.substring(0,abs.length-1);
+    }
+    return abs;
+}
+
+/**
+ * Finds the root of the mono repo a package belongs to by searching for a tsconfig.base.json file
+ * in the parent directories of the package. The search stops at the git root or package.json
+ * workspace root of the source repo so that the root of a repo containing the source repo is
+ * never returned.
+ * @param {string} dir
+ * @returns {Promise<string|null>}
+ */
+const findSourceRootAsync=async (dir)=>{
+    let current=Path.dirname(Path.resolve(dir));
+    while(true){
+        if(await existsAsync(Path.join(current,'tsconfig.base.json'))){
+            return current;
+        }
+        if(await isRepoRootAsync(current)){
+            return null;
+        }
+        const parent=Path.dirname(current);
+        if(parent===current){
+            return null;
+        }
+        current=parent;
+    }
+}
+
+/**
+ * Checks if a directory is the root of a repo. A directory is a repo root if it contains a .git
+ * directory or file or a package.json file that defines workspaces.
+ * @param {string} dir
+ * @returns {Promise<boolean>}
+ */
+const isRepoRootAsync=async (dir)=>{
+    if(await existsAsync(Path.join(dir,'.git'))){
+        return true;
+    }
+    const packageJson=await loadJsonOrDefaultAsync(Path.join(dir,'package.json'),{});
+    return packageJson.workspaces?true:false;
+}
+
+/**
+ * Finds internal dependencies of the packages being injected that come from the source repos of
+ * the packages and are not part of the host repo. Each dependency found can be injected along with
+ * the package that depends on it. Dependencies are searched for recursively.
+ * @param {Record<string,Pkg>} inject
+ */
+const addTransitiveInjectionsAsync=async (inject)=>{
+    const [hostTsConfig,hostPackageJson]=await Promise.all([
+        loadJsonOrDefaultAsync(tsConfigFile,{}),
+        loadJsonOrDefaultAsync(packageJsonFile,{}),
+    ]);
+    /** @type {string[]} */
+    const declined=[];
+
+    const queue=Object.values(inject);
+    while(queue.length){
+        const pkg=queue.shift();
+        const root=await findSourceRootAsync(pkg.dir);
+        if(!root){
+            continue;
+        }
+        const [sourceTsConfig,sourcePackageJson]=await Promise.all([
+            loadJsonAsync(Path.join(root,'tsconfig.base.json')),
+            loadJsonOrDefaultAsync(Path.join(root,'package.json'),{}),
+        ]);
+        /** @type {Record<string,string[]>} */
+        const sourcePaths=sourceTsConfig.compilerOptions?.paths??{};
+        const baseUrl=Path.join(root,sourceTsConfig.compilerOptions?.baseUrl??'.');
+
+        const {deps}=await scanPackageAsync(pkg,sourcePackageJson,sourceTsConfig);
+        for(const name of deps){
+            const depPath=sourcePaths[name]?.[0];
+            if( !depPath ||
+                name===pkg.npmName ||
+                declined.includes(name) ||
+                hostTsConfig.compilerOptions?.paths?.[name] ||
+                hostPackageJson.dependencies?.[name] ||
+                hostPackageJson.devDependencies?.[name] ||
+                Object.values(inject).some(p=>p.npmName===name)
+            ){
+                continue;
+            }
+
+            const depDir=await findPackageDirAsync(Path.join(baseUrl,depPath),root);
+            if(!depDir){
+                console.warn(`\x1b[33mUnable to find package directory of ${name} required by ${pkg.npmName??pkg.dir}\x1b[0m`);
+                continue;
+            }
+            const dir=Path.relative('.',depDir);
+            console.info(`transitive: ${name} (${dir}) is required by ${pkg.npmName??pkg.dir}`);
+            if(!yes && !await promptYesNoAsync(`Inject ${name} from ${dir}?`)){
+                declined.push(name);
+                continue;
+            }
+
+            /** @type {Pkg} */
+            const depPkg={dir,transitiveOf:pkg.key};
+            await populatePkgAsync(depPkg);
+            inject[await getPkgDirKeyAsync(dir)]=depPkg;
+            queue.push(depPkg);
+        }
+    }
+}
+
+/**
+ * Finds the closest directory containing a package.json file starting at the given path and
+ * searching up to the root directory.
+ * @param {string} path
+ * @param {string} root
+ * @returns {Promise<string|null>}
+ */
+const findPackageDirAsync=async (path,root)=>{
+    let current=Path.dirname(path);
+    while(current.length>root.length){
+        if(await existsAsync(Path.join(current,'package.json'))){
+            return current;
+        }
+        current=Path.dirname(current);
+    }
+    return null;
+}
+
+/**
+ * Adds injected packages that were injected as dependencies of the packages being ejected
+ * @param {Record<string,Pkg>} eject
+ */
+const addTransitiveEjectionsAsync=async (eject)=>{
+    if(!Object.keys(eject).length){
+        return;
+    }
+    /** @type {Pkg[]} */
+    const current=await loadJsonOrDefaultAsync(currentPkgFile,[]);
+    const keys=Object.values(eject).map(p=>p.key);
+    let added=true;
+    while(added){
+        added=false;
+        for(const pkg of current){
+            if(pkg.transitiveOf && keys.includes(pkg.transitiveOf) && !keys.includes(pkg.key)){
+                console.info(`transitive: ${pkg.npmName??pkg.dir} was injected as a dependency of ${pkg.transitiveOf}`);
+                let key;
+                try{
+                    key=await getPkgDirKeyAsync(pkg.dir);
+                }catch{
+                    // the source dir has been removed and can not be resolved
+                    key=Path.resolve(pkg.dir).toLowerCase();
+                }
+                eject[key]=pkg;
+                keys.push(pkg.key);
+                added=true;
+            }
+        }
     }
 }
 
@@ -1094,25 +3046,569 @@ const mergePackages=(pkg,currentPkg)=>{
     }
 }
 
-const isLinkedAsync=async (srcPath,destPath)=>{
+/**
+ * Checks if a destination file is linked to a source file
+ * @param {string} srcPath
+ * @param {string} destPath
+ * @param {LinkMode} mode
+ * @returns {Promise<boolean>}
+ */
+const isLinkedAsync=async (srcPath,destPath,mode=linkMode)=>{
     let linked=false;
-    switch(linkMode){
+    switch(mode){
+
+        case 'hard-link':
+        case 'dir-link':{
+            // files of dir-links resolve to the source file through the linked directory
+            const [srcStat,destStat]=await Promise.all([
+                fs.stat(srcPath),
+                fs.stat(destPath),
+            ]);
+            linked=srcStat.ino===destStat.ino;
+            break;
+        }
+        default:{
+            const destBuf=await fs.readFile(destPath);
+            const srcBuf=await fs.readFile(srcPath);
+            linked=destBuf.equals(srcBuf);
+            break;
+        }
+    }
+    return linked;
+}
+
+/**
+ * Returns the relative target of a symlink created at destPath that points to srcPath
+ * @param {string} srcPath
+ * @param {string} destPath
+ * @returns {string}
+ */
+const getSymlinkTarget=(srcPath,destPath)=>{
+    return Path.relative(Path.dirname(Path.resolve(destPath)),Path.resolve(srcPath));
+}
+
+/**
+ * Finds the directories of a directory tree that contain ignored files or directories at any depth.
+ * The tree is scanned once and ignored directories are not scanned.
+ * @param {string} dir
+ * @param {string} relDir Path of dir relative to the root of the tree
+ * @param {string[]} found Paths of the found directories relative to the root of the tree
+ * @returns {Promise<boolean>} true if dir contains ignored entries
+ */
+const findDirsWithIgnoredEntriesAsync=async (dir,relDir,found)=>{
+    let hasIgnored=false;
+    for(const e of await fs.readdir(dir,{withFileTypes:true})){
+        if(ignoreList.includes(e.name)){
+            hasIgnored=true;
+        }else if(e.isDirectory() && await findDirsWithIgnoredEntriesAsync(
+            Path.join(dir,e.name),relDir?relDir+'/'+e.name:e.name,found
+        )){
+            hasIgnored=true;
+        }
+    }
+    if(hasIgnored){
+        found.push(relDir);
+    }
+    return hasIgnored;
+}
+
+/**
+ * Links a directory using directory symlinks. Directories that do not contain ignored files are
+ * linked as a whole. Directories that contain ignored files are created as an overlay directory
+ * containing links to each of the directory's entries that are not ignored.
+ * @param {string} srcDir
+ * @param {string} destDir
+ * @param {string[]} linkedFiles Paths of created links relative to the root of the package
+ * @param {string} relDir
+ * @param {string[]|undefined} ignoredDirs Directories containing ignored entries relative to the
+ *                                        root of the package. Found when not defined.
+ */
+const dirLinkAsync=async (srcDir,destDir,linkedFiles,relDir='',ignoredDirs=undefined)=>{
+
+    if(!ignoredDirs){
+        ignoredDirs=[];
+        await findDirsWithIgnoredEntriesAsync(srcDir,relDir,ignoredDirs);
+    }
+
+    /** @type {import('node:fs').Stats|null} */
+    let destStat=null;
+    try{
+        destStat=await fs.lstat(destDir);
+    }catch{
+        // dest does not exist
+    }
+
+    const overlay=(destStat && !destStat.isSymbolicLink()) || ignoredDirs.includes(relDir);
+    if(!overlay){
+        await linkDirEntryAsync(srcDir,destDir,destStat);
+        linkedFiles.push(relDir||'.');
+        return;
+    }
+
+    if(destStat?.isSymbolicLink()){
+        // the directory was linked as a whole before ignored files were added to the source
+        console.info(`overlay: ${destDir}`);
+        if(!dryRun){
+            await journalDeleteAsync(destDir);
+        }
+        destStat=null;
+    }
+    if(!destStat){
+        console.info(`mkdir: ${destDir}`);
+        if(!dryRun){
+            await journalMkdirAsync(destDir);
+        }
+    }
+
+    for(const e of await fs.readdir(srcDir,{withFileTypes:true})){
+        if(ignoreList.includes(e.name)){
+            if(verbose){
+                console.log(`ignore: ${Path.join(srcDir,e.name)}`);
+            }
+            continue;
+        }
+        const srcPath=Path.join(srcDir,e.name);
+        const destPath=Path.join(destDir,e.name);
+        const relPath=relDir?relDir+'/'+e.name:e.name;
+        if(e.isDirectory()){
+            await dirLinkAsync(srcPath,destPath,linkedFiles,relPath,ignoredDirs);
+        }else{
+            let stat=null;
+            try{
+                stat=await fs.lstat(destPath);
+            }catch{
+                // dest does not exist
+            }
+            await linkDirEntryAsync(srcPath,destPath,stat);
+            linkedFiles.push(relPath);
+        }
+    }
+}
+
+/**
+ * Creates a symlink for a file or directory of a dir-link. Existing links pointing to the source
+ * are left as is.
+ * @param {string} srcPath
+ * @param {string} destPath
+ * @param {import('node:fs').Stats|null} destStat
+ */
+const linkDirEntryAsync=async (srcPath,destPath,destStat)=>{
+    if(destStat){
+        if(destStat.isSymbolicLink() && Path.resolve(Path.dirname(destPath),await fs.readlink(destPath))===Path.resolve(srcPath)){
+            return;
+        }
+        throw new Error(
+            `Unable to dir-link ${srcPath}. ${destPath} already exists and is not linked to the source. `+
+            `Eject the package before changing its link mode.`
+        );
+    }
+    console.info(`link: dir-link - ${srcPath} -> ${destPath}`);
+    if(!dryRun){
+        await journalCreateAsync(destPath);
+        await fs.symlink(getSymlinkTarget(srcPath,destPath),destPath);
+    }
+}
+
+/**
+ * @typedef CompatibilityCheck
+ * @prop {string} name
+ * @prop {string} required The required version range
+ * @prop {string|undefined} version The version checked against the required range
+ * @prop {'ok'|'mismatch'|'major'|'missing'|'unknown'} status
+ */
+
+/**
+ * Checks that the version of the source of an injected package satisfies the version range of the
+ * npm dependency it replaces and that the dependencies and peer dependencies of the package are
+ * satisfied by the host's root package.json. A compatibility report is printed and an error is
+ * thrown for incompatible major versions unless --force is used.
+ * @param {Pkg} pkg
+ * @param {Pkg|undefined} current
+ */
+const checkCompatibilityAsync=async (pkg,current)=>{
+    const hostPackageJson=await loadJsonOrDefaultAsync(packageJsonFile,{});
+    const hostTsConfig=await loadJsonOrDefaultAsync(tsConfigFile,{});
+
+    /**
+     * @param {string} name
+     * @returns {string|undefined}
+     */
+    const getHostRange=(name)=>(
+        hostPackageJson.dependencies?.[name]??
+        hostPackageJson.devDependencies?.[name]??
+        hostPackageJson.peerDependencies?.[name]
+    );
+
+    /** @type {CompatibilityCheck[]} */
+    const checks=[];
+
+    const removedRange=getHostRange(pkg.npmName)??current?.installedNpmVersion;
+    if(removedRange){
+        checks.push(checkVersion(pkg.npmName,removedRange,pkg.packageJson?.version));
+    }
+
+    const required={
+        ...pkg.packageJson?.dependencies,
+        ...pkg.packageJson?.peerDependencies,
+    }
+    for(const name in required){
+        if(hostTsConfig.compilerOptions?.paths?.[name]){
+            // internal package of the host
+            continue;
+        }
+        const hostRange=getHostRange(name);
+        if(!hostRange){
+            checks.push({name,required:required[name],version:undefined,status:'missing'});
+            continue;
+        }
+        const installed=(await loadJsonOrDefaultAsync(Path.join('node_modules',name,'package.json'),null))?.version;
+        checks.push(checkVersion(name,required[name],installed??getRangeMinVersion(hostRange)));
+    }
+
+    if(!checks.length){
+        return;
+    }
+
+    console.log(`compatibility: ${pkg.npmName}`);
+    for(const c of checks){
+        const color=c.status==='ok'?'32':c.status==='major'?'31':'33';
+        console.log(`  \x1b[${color}m${c.status.padEnd(8)}\x1b[0m ${c.name} ${c.version??'-'} -> ${c.required}`);
+    }
+
+    const incompatible=checks.filter(c=>c.status==='major');
+    if(incompatible.length){
+        const msg=`Incompatible major versions found for ${pkg.npmName} - ${incompatible.map(c=>`${c.name}@${c.version} -> ${c.required}`).join(', ')}`;
+        if(!force){
+            throw new Error(`${msg}. Use --force to inject anyway.`);
+        }
+        console.warn(`\x1b[33m${msg}\x1b[0m`);
+    }
+}
+
+/**
+ * @param {string} name
+ * @param {string} required
+ * @param {string|undefined} version
+ * @returns {CompatibilityCheck}
+ */
+const checkVersion=(name,required,version)=>{
+    const parsed=version?parseVersion(version):null;
+    const satisfied=parsed?satisfiesRange(parsed,required):null;
+    const min=getRangeMinVersion(required);
+    let status;
+    if(satisfied===null){
+        status='unknown';
+    }else if(satisfied){
+        status='ok';
+    }else if(min && getBreakingVersion(parseVersion(min))!==getBreakingVersion(parsed)){
+        status='major';
+    }else{
+        status='mismatch';
+    }
+    return {name,required,version,status};
+}
+
+/**
+ * Links a source file to a destination path
+ * @param {string} srcPath
+ * @param {string} destPath
+ * @param {LinkMode} mode
+ */
+const linkFileAsync=async (srcPath,destPath,mode=linkMode)=>{
+    switch(mode){
+
+        case 'hard-link':
+            await fs.link(srcPath,destPath);
+            break;
+
+        case 'sym-link':
+        case 'dir-link':
+            await fs.symlink(getSymlinkTarget(srcPath,destPath),destPath);
+            break;
+
+        case 'copy':
+            await fs.copyFile(srcPath,destPath);
+            break;
+    }
+}
+
+/**
+ * @typedef JournalAction
+ * @prop {'inject'|'eject'} action
+ * @prop {Pkg} pkg
+ *
+ * @typedef JournalEntry
+ * @prop {'begin'|'create'|'modify'|'delete'} type
+ * @prop {string|undefined} path Absolute path of the changed file or directory
+ * @prop {string|null|undefined} backup Absolute path of the backup of the changed file. null if
+ *                                      a modified file did not exist before being modified.
+ * @prop {JournalAction[]|undefined} actions Actions of the journal. Only defined by begin entries
+ * @prop {string[]|undefined} ignoreList Ignore list used by the actions. Only defined by begin entries
+ * @prop {LinkMode|undefined} linkMode Link mode used by the actions. Only defined by begin entries
+ */
+
+let journalActive=false;
+let journalBackupIndex=0;
+
+/**
+ * Adds a path to the root .gitignore unless the path or one of its parent directories is already
+ * ignored. Returns false if the path is outside of the directory of the .gitignore file.
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+const addGitIgnorePathAsync=async (path)=>{
+    const relPath=normPath(Path.relative(Path.dirname(Path.resolve(gitIgnoreFile)),Path.resolve(path)));
+    if(relPath.startsWith('../')){
+        return false;
+    }
+    const content=await loadTextOrDefaultAsync(gitIgnoreFile,'');
+    const ignoreLines=content.split('\n').map(s=>s.trim().replace(/\/$/,''));
+    const parts=relPath.split('/');
+    for(let i=1;i<=parts.length;i++){
+        const parent=parts.slice(0,i).join('/');
+        if(ignoreLines.includes(parent) || ignoreLines.includes('/'+parent)){
+            return true;
+        }
+    }
+    const igPath='/'+relPath;
+    console.info(`ignore: ${igPath}`);
+    if(!dryRun){
+        await fs.appendFile(gitIgnoreFile,(!content || content.endsWith('\n')?'':'\n')+igPath+'\n');
+    }
+    return true;
+}
+
+/**
+ * Runs a list of inject and eject actions as a single transaction. All changes made to the
+ * filesystem are recorded in a journal and if any action fails all changes are rolled back.
+ * @param {JournalAction[]} actions
+ */
+const runJournaledActionsAsync=async (actions)=>{
+    if(!dryRun){
+        if(await existsAsync(journalFile)){
+            throw new Error(
+                `An interrupted inject or eject journal was found at ${journalFile}. `+
+                `Use --recover to finish or undo the interrupted changes.`
+            );
+        }
+        await fs.mkdir(Path.join(journalDir,'backup'),{recursive:true});
+        await addGitIgnorePathAsync(pkijDir);
+        journalActive=true;
+        journalBackupIndex=0;
+        await writeJournalEntryAsync({type:'begin',actions,ignoreList,linkMode});
+    }
+
+    try{
+        for(const {action,pkg} of actions){
+            if(action==='inject'){
+                await injectAsync(pkg);
+            }else{
+                await ejectAsync(pkg);
+            }
+        }
+    }catch(ex){
+        if(journalActive){
+            journalActive=false;
+            console.error('\x1b[31mFailed to apply changes. Rolling back\x1b[0m');
+            await rollbackJournalAsync();
+        }
+        throw ex;
+    }
+
+    if(journalActive){
+        journalActive=false;
+        await fs.rm(journalDir,{recursive:true,force:true});
+    }
+}
+
+/**
+ * Finishes or undoes an interrupted journal left behind by a process that was stopped while
+ * injecting or ejecting. Finishing rolls back the interrupted changes then runs all actions of the
+ * journal again.
+ * @param {'undo'|'finish'|null} mode If null the user is prompted for a mode
+ */
+const recoverAsync=async (mode)=>{
+    if(!await existsAsync(journalFile)){
+        console.log('No interrupted journal found');
+        return;
+    }
+
+    const begin=(await readJournalAsync()).find(e=>e.type==='begin');
+    const actions=begin?.actions??[];
+    console.log('Interrupted actions:');
+    for(const {action,pkg} of actions){
+        console.log(`${action} ${pkg.dir} -> ${pkg.dest}`);
+    }
+
+    if(!mode){
+        if(yes){
+            mode='undo';
+        }else{
+            const r=(await promptAsync('[u]ndo or [f]inish interrupted changes? (default undo)')).trim().toLowerCase();
+            mode=r==='f'?'finish':'undo';
+        }
+    }
+
+    console.info(`rollback: ${journalFile}`);
+    if(dryRun){
+        return;
+    }
+    await rollbackJournalAsync();
+
+    if(mode==='finish' && actions.length){
+        if(begin.ignoreList){
+            for(const ig of begin.ignoreList){
+                if(!ignoreList.includes(ig)){
+                    ignoreList.push(ig);
+                }
+            }
+        }
+        if(begin.linkMode){
+            linkMode=begin.linkMode;
+        }
+        await runJournaledActionsAsync(actions);
+    }
+}
+
+/**
+ * @returns {Promise<JournalEntry[]>}
+ */
+const readJournalAsync=async ()=>{
+    const lines=(await loadTextOrDefaultAsync(journalFile,'')).split('\n');
+    /** @type {JournalEntry[]} */
+    const entries=[];
+    for(const line of lines){
+        if(!line.trim()){
+            continue;
+        }
+        try{
+            entries.push(JSON.parse(line));
+        }catch{
+            // the last line can be incomplete if the process was killed while writing
+            console.warn(`Invalid journal entry ignored - ${line}`);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Reverts all changes recorded in the journal then deletes the journal
+ */
+const rollbackJournalAsync=async ()=>{
+    const entries=await readJournalAsync();
+    for(let i=entries.length-1;i>=0;i--){
+        const e=entries[i];
+        try{
+            switch(e.type){
+
+                case 'create':
+                    console.log(`undo create: ${e.path}`);
+                    await fs.rm(e.path,{recursive:true,force:true});
+                    break;
+
+                case 'modify':
+                    console.log(`undo modify: ${e.path}`);
+                    if(e.backup){
+                        await fs.mkdir(Path.dirname(e.path),{recursive:true});
+                        // copied into the existing file to preserve hard links
+                        await fs.copyFile(e.backup,e.path);
+                    }else{
+                        await fs.rm(e.path,{recursive:true,force:true});
+                    }
+                    break;
+
+                case 'delete':
+                    // the entry is written before the path is moved into the journal. If the
+                    // backup does not exist the path was never moved and must not be removed
+                    if(!e.backup || !await fs.lstat(e.backup).then(()=>true,()=>false)){
+                        break;
+                    }
+                    console.log(`undo delete: ${e.path}`);
+                    await fs.rm(e.path,{recursive:true,force:true});
+                    await fs.mkdir(Path.dirname(e.path),{recursive:true});
+                    await fs.rename(e.backup,e.path);
+                    break;
+            }
+        }catch(ex){
+            // the process may have been killed before the change was made
+            if(ex?.code!=='ENOENT'){
+                throw ex;
+            }
+        }
+    }
+    await fs.rm(journalDir,{recursive:true,force:true});
+}
+
+/**
+ * @param {JournalEntry} entry
+ */
+const writeJournalEntryAsync=async (entry)=>{
+    if(!journalActive){
+        return;
+    }
+    await fs.appendFile(journalFile,JSON.stringify(entry)+'\n');
+}
+
+/**
+ * @returns {string}
+ */
+const getNextJournalBackupPath=()=>{
+    return Path.resolve(journalDir,'backup',(journalBackupIndex++).toString());
+}
+
+/**
+ * Records a file or directory that is about to be created
+ * @param {string} path
+ */
+const journalCreateAsync=async (path)=>{
+    await writeJournalEntryAsync({type:'create',path:Path.resolve(path)});
+}
+
+/**
+ * Backs up a file that is about to be modified
+ * @param {string} path
+ */
+const journalModifyAsync=async (path)=>{
+    if(!journalActive){
+        return;
+    }
+    let backup=null;
+    if(await existsAsync(path)){
+        backup=getNextJournalBackupPath();
+        await fs.copyFile(path,backup);
+    }
+    await writeJournalEntryAsync({type:'modify',path:Path.resolve(path),backup});
+}
+
+/**
+ * Deletes a file or directory. When a journal is active the path is moved into the journal so
+ * that it can be restored.
+ * @param {string} path
+ */
+const journalDeleteAsync=async (path)=>{
+    if(!journalActive){
+        await fs.rm(path,{recursive:true,force:true});
+        return;
+    }
+    const backup=getNextJournalBackupPath();
+    await writeJournalEntryAsync({type:'delete',path:Path.resolve(path),backup});
+    await fs.rename(path,backup);
+}
 
-        case 'hard-link':{
-            const [srcStat,destStat]=await Promise.all([
-                fs.stat(srcPath),
-                fs.stat(destPath),
-            ]);
-            linked=srcStat.ino===destStat.ino;
-        }
-        default:{
-            const destBuf=await fs.readFile(destPath);
-            const srcBuf=await fs.readFile(srcPath);
-            linked=destBuf.equals(srcBuf);
-            break;
-        }
+/**
+ * Creates a directory and all missing parent directories. The first missing directory is recorded
+ * before any directories are created.
+ * @param {string} path
+ */
+const journalMkdirAsync=async (path)=>{
+    let first=undefined;
+    for(let dir=Path.resolve(path);!await existsAsync(dir);dir=Path.dirname(dir)){
+        first=dir;
     }
-    return linked;
+    if(first){
+        await journalCreateAsync(first);
+    }
+    await fs.mkdir(path,{recursive:true});
 }
 
 /**
@@ -1144,6 +3640,10 @@ const injectAsync=async (pkg)=>{
         )
     }
 
+    if(pkg.npmName){
+        await checkCompatibilityAsync(pkg,current);
+    }
+
     if(!pkg.disableGitIgnore){
         const content=await loadTextOrDefaultAsync(gitIgnoreFile)
         const ignoreLines=content.split('\n').map(s=>s.trim());
@@ -1151,66 +3651,87 @@ const injectAsync=async (pkg)=>{
         if(!ignoreLines.includes(igPath)){
             console.info(`ignore: ${igPath}`);
             if(!dryRun){
+                await journalModifyAsync(gitIgnoreFile);
                 await fs.appendFile(gitIgnoreFile,(content.endsWith('\n')?'':'\n')+igPath+'\n');
             }
         }
 
     }
 
-    if(!destExists){
+    if(!destExists && linkMode!=='dir-link'){
         console.info(`mkdir: ${pkg.dest}`);
         if(!dryRun){
-            await fs.mkdir(pkg.dest,{recursive:true});
+            await journalMkdirAsync(pkg.dest);
         }
     }
 
-    await scanDirAsync(pkg.dir,pkg.dest,async (name,srcPath,destPath,isDir)=>{
-        const exists=await existsAsync(destPath);
-        if(isDir){
-            if(!exists){
-                console.info(`mkdir: ${destPath}`);
-                if(!dryRun){
-                    await fs.mkdir(destPath,{recursive:true});
+    /**
+     * Paths of linked files relative to the root of the package
+     * @type {string[]}
+     */
+    const linkedFiles=[];
+
+    if(linkMode==='dir-link'){
+        if(!dryRun){
+            await journalMkdirAsync(Path.dirname(pkg.dest));
+        }
+        await dirLinkAsync(pkg.dir,pkg.dest,linkedFiles);
+    }else{
+        await scanDirAsync(pkg.dir,pkg.dest,async (name,srcPath,destPath,isDir)=>{
+            const exists=await existsAsync(destPath);
+            if(isDir){
+                if(!exists){
+                    console.info(`mkdir: ${destPath}`);
+                    if(!dryRun){
+                        await journalMkdirAsync(destPath);
+                    }
                 }
-            }
-        }else{
-            if(!exists || verbose){
-                console.info(`link: ${linkMode} - ${srcPath} -> ${destPath}`);
-            }
-            if(exists){
-                if(await isLinkedAsync(srcPath,destPath)){
-                    return;
-                }else{
-                    console.warn(`\x1b[33mBroken link detected: ${srcPath} -> ${destPath}\x1b[0m`);
-                    if(deleteUnlinked){
-                        console.log(`\x1b[31mdelete: ${destPath}\x1b[0m`);
+            }else{
+                if(!exists || verbose){
+                    console.info(`link: ${linkMode} - ${srcPath} -> ${destPath}`);
+                }
+                if(exists){
+                    if(await isLinkedAsync(srcPath,destPath)){
+                        linkedFiles.push(normPath(Path.relative(pkg.dir,srcPath)));
+                        return;
+                    }else if(await isReplacedByGitCheckoutAsync(pkg,srcPath,destPath)){
+                        console.info(`relink: updated by git checkout - ${srcPath} -> ${destPath}`);
                         if(!dryRun){
-                            await fs.unlink(destPath);
+                            await journalDeleteAsync(destPath);
                         }
                     }else{
-                        console.log('use the --delete-unlinked flag to auto delete broken links');
-                        return;
+                        console.warn(`\x1b[33mBroken link detected: ${srcPath} -> ${destPath}\x1b[0m`);
+                        if(reconcile){
+                            if(!await reconcileBrokenLinkAsync(srcPath,destPath)){
+                                // the unresolved file still belongs to the package
+                                linkedFiles.push(normPath(Path.relative(pkg.dir,srcPath)));
+                                return;
+                            }
+                        }else if(deleteUnlinked){
+                            console.log(`\x1b[31mdelete: ${destPath}\x1b[0m`);
+                            if(!dryRun){
+                                await journalDeleteAsync(destPath);
+                            }
+                        }else{
+                            console.log('use the --reconcile flag to resolve broken links or the --delete-unlinked flag to auto delete broken links');
+                            linkedFiles.push(normPath(Path.relative(pkg.dir,srcPath)));
+                            return;
+                        }
                     }
                 }
-            }
-            if(!dryRun){
-                switch(linkMode){
-
-                    case 'hard-link':
-                        await fs.link(srcPath,destPath);
-                        break;
-
-                    case 'sym-link':
-                        await fs.symlink(srcPath,destPath);
-                        break;
-
-                    case 'copy':
-                        await fs.copyFile(srcPath,destPath);
-                        break;
+                if(!dryRun){
+                    await journalCreateAsync(destPath);
+                    await linkFileAsync(srcPath,destPath);
                 }
+                linkedFiles.push(normPath(Path.relative(pkg.dir,srcPath)));
             }
-        }
-    })
+        })
+    }
+
+    let linkedFilesKnown=true;
+    if(destExists){
+        linkedFilesKnown=await syncDestOnlyFilesAsync(pkg,current?.linkedFiles,linkedFiles);
+    }
 
     if(!pkg.disableTsConfigPath && pkg.npmName){
         const tsConfig=await loadJsonOrDefaultAsync(tsConfigFile,{});
@@ -1238,6 +3759,7 @@ const injectAsync=async (pkg)=>{
         sortRecordKeys(paths);
 
         if(!dryRun && !included){
+            await journalModifyAsync(tsConfigFile);
             await fs.writeFile(tsConfigFile,JSON.stringify(tsConfig,null,4));
         }
 
@@ -1262,28 +3784,579 @@ const injectAsync=async (pkg)=>{
             changed=true;
         }
 
-        if(changed){
-            packageJsonFileChanged=true;
-            if(!dryRun){
-                await fs.writeFile(packageJsonFile,JSON.stringify(packageJson,null,4));
-            }
+        if(changed){
+            packageJsonFileChanged=true;
+            if(!dryRun){
+                await journalModifyAsync(packageJsonFile);
+                await fs.writeFile(packageJsonFile,JSON.stringify(packageJson,null,4));
+            }
+        }
+
+    }
+
+    if(current){
+        mergePackages(pkg,current);
+    }
+    pkg.linkMode=linkMode;
+    // linked files are not recorded while unknown files remain so that they are not treated as new files
+    pkg.linkedFiles=linkedFilesKnown?linkedFiles:undefined;
+
+
+    if(currentIndex===-1){
+        currentPackages.push(pkg);
+    }else{
+        currentPackages[currentIndex]=pkg;
+    }
+    if(!dryRun){
+        await journalModifyAsync(currentPkgFile);
+        await fs.writeFile(currentPkgFile,JSON.stringify(currentPackages,null,4));
+    }
+}
+
+/**
+ * Handles files that exist in the destination of an injected package but not in its source. Files
+ * that were linked by the previous injection have been deleted from the source and are removed.
+ * All other files were created in the destination and can be moved into the source package so
+ * they become linked. Moving requires confirmation or --move-new-files, --yes does not move files
+ * into the source. If the previous injection did not record its linked files, files can not be
+ * told apart and are only reported. Conflict files written by reconciling are ignored.
+ * @param {Pkg} pkg
+ * @param {string[]|undefined} previouslyLinked Files linked by the previous injection
+ * @param {string[]} linkedFiles Files linked by the current injection. Moved files are added.
+ * @returns {Promise<boolean>} false if files that can not be told apart were found
+ */
+const syncDestOnlyFilesAsync=async (pkg,previouslyLinked,linkedFiles)=>{
+
+    if(!previouslyLinked){
+        let known=true;
+        await scanDirAsync(pkg.dest,pkg.dir,async (name,destPath,srcPath,isDir)=>{
+            if(!isDir && !name.endsWith(conflictFileExt) && !await existsAsync(srcPath)){
+                known=false;
+                console.warn(`\x1b[33mFile not in package source: ${destPath}. Move it to ${srcPath} or delete it to relink\x1b[0m`);
+            }
+        });
+        return known;
+    }
+
+    /** @type {string[]} */
+    const destOnlyDirs=[];
+
+    await scanDirAsync(pkg.dest,pkg.dir,async (name,destPath,srcPath,isDir)=>{
+        if(name.endsWith(conflictFileExt) || await existsAsync(srcPath)){
+            return;
+        }
+        if(isDir){
+            destOnlyDirs.push(destPath);
+            return;
+        }
+
+        const relPath=normPath(Path.relative(pkg.dest,destPath));
+        if(previouslyLinked.includes(relPath)){
+            console.log(`\x1b[31mdelete: ${destPath} (deleted from source)\x1b[0m`);
+            if(!dryRun){
+                await journalDeleteAsync(destPath);
+            }
+            return;
+        }
+
+        console.warn(`\x1b[33mNew file in injected package: ${destPath}\x1b[0m`);
+        if(!moveNewFiles){
+            if(yes){
+                console.log('use the --move-new-files flag to move new files into the package source');
+                return;
+            }
+            if(!await promptYesNoAsync(`Move ${destPath} into the package source at ${srcPath}?`)){
+                return;
+            }
+        }
+        console.info(`move: ${destPath} -> ${srcPath}`);
+        if(!dryRun){
+            await journalMkdirAsync(Path.dirname(srcPath));
+            await journalCreateAsync(srcPath);
+            await fs.copyFile(destPath,srcPath);
+            await journalDeleteAsync(destPath);
+            await journalCreateAsync(destPath);
+            await linkFileAsync(srcPath,destPath);
+        }
+        linkedFiles.push(relPath);
+    });
+
+    // deepest directories first so that parents are empty when checked
+    for(let i=destOnlyDirs.length-1;i>=0;i--){
+        const dir=destOnlyDirs[i];
+        if(dryRun || await existsAsync(Path.join(pkg.dir,Path.relative(pkg.dest,dir)))){
+            continue;
+        }
+        if(!(await fs.readdir(dir)).length){
+            console.log(`\x1b[31mrmdir: ${dir}\x1b[0m`);
+            await journalDeleteAsync(dir);
+        }
+    }
+    return true;
+}
+
+/** Extension added to the dest path of conflict files written while reconciling */
+const conflictFileExt='.conflict';
+
+/**
+ * Resolves a broken link between a source file and its injected copy. A diff of the 2 files is
+ * displayed and the user chooses which version to keep. When --yes is used the reconcile default
+ * is used. The destination file is removed when the function returns true and should be relinked.
+ * @param {string} srcPath
+ * @param {string} destPath
+ * @returns {Promise<boolean>}
+ */
+const reconcileBrokenLinkAsync=async (srcPath,destPath)=>{
+    const [srcBuf,destBuf,srcStat,destStat]=await Promise.all([
+        fs.readFile(srcPath),
+        fs.readFile(destPath),
+        fs.stat(srcPath),
+        fs.stat(destPath),
+    ]);
+
+    if(srcBuf.equals(destBuf)){
+        console.info(`relink: content matches - ${srcPath} -> ${destPath}`);
+        if(!dryRun){
+            await journalDeleteAsync(destPath);
+        }
+        return true;
+    }
+
+    const destNewer=destStat.mtimeMs>srcStat.mtimeMs;
+    console.log(`source modified ${srcStat.mtime.toLocaleString()}${destNewer?'':' (newer)'} - ${srcPath}`);
+    console.log(`dest   modified ${destStat.mtime.toLocaleString()}${destNewer?' (newer)':''} - ${destPath}`);
+    const diff=(isBinaryBuffer(srcBuf) || isBinaryBuffer(destBuf))?
+        null
+    :
+        createUnifiedDiff(srcBuf.toString(),destBuf.toString(),srcPath,destPath);
+    if(diff===null){
+        console.log('Files differ');
+    }else{
+        printDiff(diff);
+    }
+
+    let mode=reconcileDefault;
+    if(!yes){
+        while(true){
+            const r=(await promptAsync(
+                `Keep [s]ource, keep [d]est (copy back to source) or write a .[c]onflict file? (default ${reconcileDefault})`
+            )).trim().toLowerCase();
+            if(!r){
+                break;
+            }
+            mode=r==='s'?'source':r==='d'?'dest':r==='c'?'conflict':null;
+            if(mode){
+                break;
+            }
+        }
+    }
+    if(mode==='newer'){
+        mode=destNewer?'dest':'source';
+    }
+
+    switch(mode){
+
+        case 'source':
+            console.log(`\x1b[31mdelete: ${destPath}\x1b[0m`);
+            break;
+
+        case 'dest':
+            console.info(`copy back: ${destPath} -> ${srcPath}`);
+            if(!dryRun){
+                await journalModifyAsync(srcPath);
+                await fs.copyFile(destPath,srcPath);
+            }
+            break;
+
+        case 'conflict':{
+            const conflictPath=destPath+conflictFileExt;
+            console.info(`conflict: ${conflictPath}`);
+            if(!dryRun){
+                await journalModifyAsync(conflictPath);
+                await fs.writeFile(conflictPath,createConflictText(srcBuf.toString(),destBuf.toString(),srcPath,destPath));
+            }
+            break;
+        }
+    }
+
+    if(!dryRun){
+        await journalDeleteAsync(destPath);
+    }
+    return true;
+}
+
+/**
+ * Watches all injected packages and keeps their files linked. Editors that use atomic saves
+ * replace files instead of writing to them which breaks hard links. Broken links are re-linked,
+ * new source files are linked and deleted files are reported. Watching continues until the
+ * process is stopped.
+ */
+const watchInjectedPackagesAsync=async ()=>{
+    /** @type {Pkg[]} */
+    const pkgs=await loadJsonOrDefaultAsync(currentPkgFile,[]);
+    if(!pkgs.length){
+        console.warn('No injected packages to watch');
+        return;
+    }
+    console.info(`watching ${pkgs.length} injected package(s). Press Ctrl+C to stop`);
+    await Promise.all(pkgs.map(watchInjectedPackageAsync));
+}
+
+/**
+ * Watches the source and destination directories of an injected package
+ * @param {Pkg} pkg
+ */
+const watchInjectedPackageAsync=async (pkg)=>{
+
+    for(const dir of [pkg.dir,pkg.dest]){
+        if(!await isDirAsync(dir)){
+            throw new Error(`Unable to watch injected package. ${dir} is not a directory`);
+        }
+    }
+
+    console.info(`watch: ${pkg.dir} <-> ${pkg.dest}`);
+
+    /** @type {Record<string,any>} */
+    const timeouts={};
+
+    // syncs are ran one at a time to avoid relinking the same file concurrently
+    let syncQueue=Promise.resolve();
+
+    /**
+     * @param {'src'|'dest'} origin
+     * @param {string} relPath
+     */
+    const queueSync=(origin,relPath)=>{
+        const key=origin+':'+relPath;
+        clearTimeout(timeouts[key]);
+        timeouts[key]=setTimeout(()=>{
+            delete timeouts[key];
+            syncQueue=syncQueue.then(async ()=>{
+                try{
+                    await syncWatchedFileAsync(pkg,relPath,origin);
+                }catch(ex){
+                    console.error(`Unable to sync ${relPath} of ${pkg.dest}`,ex);
+                }
+            });
+        },watchDebounceMs);
+    }
+
+    /**
+     * @param {'src'|'dest'} origin
+     * @param {string} dir
+     */
+    const watchDirAsync=async (origin,dir)=>{
+        await watchDirTreeAsync(dir,name=>ignoreList.includes(name),relPath=>queueSync(origin,relPath));
+    }
+
+    await Promise.all([
+        watchDirAsync('src',pkg.dir),
+        // changes to dir-links are made directly to the source
+        pkg.linkMode==='dir-link'?null:watchDirAsync('dest',pkg.dest),
+    ]);
+}
+
+/**
+ * Watches a directory and all of its sub directories that are not ignored. Each directory is
+ * watched individually instead of using a recursive watch so that no watchers are registered for
+ * ignored directories such as node_modules. Directories created while watching are watched as
+ * they are created.
+ * @param {string} dir
+ * @param {(name:string)=>boolean} isIgnored Returns true if a file or directory should be ignored
+ * @param {(relPath:string)=>void} onChange Called with the path relative to dir of changed files
+ */
+const watchDirTreeAsync=async (dir,isIgnored,onChange)=>{
+    /**
+     * Used to stop the watchers of removed directories. Keyed by path relative to dir
+     * @type {Record<string,AbortController>}
+     */
+    const watched={};
+
+    /**
+     * @param {string} relDir
+     * @returns {Promise<void>}
+     */
+    const watchSubDirAsync=async (relDir)=>{
+        if(watched[relDir]){
+            return;
+        }
+        const abort=new AbortController();
+        watched[relDir]=abort;
+        const absDir=Path.join(dir,relDir);
+        /** @type {Promise<void>[]} */
+        const subDirs=[];
+        try{
+            const watcher=fs.watch(absDir,{signal:abort.signal});
+            for(const e of await fs.readdir(absDir,{withFileTypes:true})){
+                if(e.isDirectory() && !isIgnored(e.name)){
+                    subDirs.push(watchSubDirAsync(Path.join(relDir,e.name)));
+                }
+            }
+            for await(const {filename} of watcher){
+                if(!filename || isIgnored(filename)){
+                    continue;
+                }
+                const relPath=Path.join(relDir,filename);
+                onChange(relPath);
+                const stat=await fs.lstat(Path.join(dir,relPath)).catch(()=>null);
+                if(stat?.isDirectory()){
+                    subDirs.push(watchSubDirAsync(relPath));
+                }else if(!stat){
+                    for(const key in watched){
+                        if(key===relPath || key.startsWith(relPath+Path.sep)){
+                            watched[key].abort();
+                        }
+                    }
+                }
+            }
+        }catch(ex){
+            // sub directories can be removed or have their watchers aborted while being watched
+            if(!relDir){
+                throw ex;
+            }
+        }finally{
+            if(watched[relDir]===abort){
+                delete watched[relDir];
+            }
+        }
+        await Promise.all(subDirs);
+    }
+
+    await watchSubDirAsync('');
+}
+
+/**
+ * Syncs a single file or directory of a watched package
+ * @param {Pkg} pkg
+ * @param {string} relPath path relative to the root of the package
+ * @param {'src'|'dest'} origin The side of the package the change was detected in
+ */
+const syncWatchedFileAsync=async (pkg,relPath,origin)=>{
+    const srcPath=Path.join(pkg.dir,relPath);
+    const destPath=Path.join(pkg.dest,relPath);
+    const mode=pkg.linkMode??linkMode;
+
+    const [srcExists,destExists]=await Promise.all([
+        existsAsync(srcPath),
+        existsAsync(destPath),
+    ]);
+
+    if(!srcExists){
+        if(destExists && origin==='src'){
+            console.warn(`\x1b[33mSource file deleted: ${srcPath}. Injected file still exists - ${destPath}\x1b[0m`);
+        }
+        return;
+    }
+
+    const srcStat=await fs.stat(srcPath);
+
+    if(!destExists){
+        if(origin==='dest'){
+            console.warn(`\x1b[33mInjected file deleted: ${destPath}. Source file still exists - ${srcPath}\x1b[0m`);
+            return;
+        }
+        if(srcStat.isDirectory()){
+            console.info(`mkdir: ${destPath}`);
+            if(!dryRun){
+                await fs.mkdir(destPath,{recursive:true});
+            }
+            await scanDirAsync(srcPath,destPath,async (name,srcPath,destPath,isDir)=>{
+                if(await existsAsync(destPath)){
+                    return;
+                }
+                if(isDir){
+                    console.info(`mkdir: ${destPath}`);
+                    if(!dryRun){
+                        await fs.mkdir(destPath,{recursive:true});
+                    }
+                }else{
+                    console.info(`link: ${mode} - ${srcPath} -> ${destPath}`);
+                    if(!dryRun){
+                        await linkFileAsync(srcPath,destPath,mode);
+                    }
+                }
+            });
+        }else{
+            console.info(`link: ${mode} - ${srcPath} -> ${destPath}`);
+            if(!dryRun){
+                await fs.mkdir(Path.dirname(destPath),{recursive:true});
+                await linkFileAsync(srcPath,destPath,mode);
+            }
+        }
+        return;
+    }
+
+    if(srcStat.isDirectory() || await isLinkedAsync(srcPath,destPath,mode)){
+        return;
+    }
+
+    // The most recently modified file wins. Changes made to the injected copy are written back to
+    // the source before relinking so edits made in either repo are not lost.
+    const destStat=await fs.stat(destPath);
+    if(destStat.mtimeMs>srcStat.mtimeMs){
+        console.info(`copy back: ${destPath} -> ${srcPath}`);
+        if(!dryRun){
+            await fs.copyFile(destPath,srcPath);
+        }
+    }
+    console.info(`relink: ${mode} - ${srcPath} -> ${destPath}`);
+    if(!dryRun){
+        await fs.unlink(destPath);
+        await linkFileAsync(srcPath,destPath,mode);
+    }
+}
+
+/**
+ * Prints the health of all injected packages
+ * @returns {Promise<boolean>} true if all injected packages are in sync
+ */
+const statusAsync=async ()=>{
+    /** @type {Pkg[]} */
+    const pkgs=await loadJsonOrDefaultAsync(currentPkgFile,[]);
+    if(!pkgs.length){
+        console.log('No injected packages');
+        return true;
+    }
+
+    const [tsConfig,gitIgnore,packageJson]=await Promise.all([
+        loadJsonOrDefaultAsync(tsConfigFile,{}),
+        loadTextOrDefaultAsync(gitIgnoreFile,''),
+        loadJsonOrDefaultAsync(packageJsonFile,{}),
+    ]);
+    const ignoreLines=gitIgnore.split('\n').map(s=>s.trim());
+
+    let allInSync=true;
+    for(const pkg of pkgs){
+        const status=await getInjectedPkgStatusAsync(pkg,tsConfig,ignoreLines,packageJson);
+        const issues=[];
+        if(!status.srcExists){
+            issues.push(`source directory missing`);
+        }
+        if(!status.destExists){
+            issues.push(`dest directory missing`);
+        }
+        if(status.broken){
+            issues.push(`${status.broken} broken link(s)`);
+        }
+        if(status.destOnly){
+            issues.push(`${status.destOnly} dest only file(s)`);
+        }
+        if(status.srcOnly){
+            issues.push(`${status.srcOnly} source only file(s)`);
+        }
+        if(status.tsConfigPath===false){
+            issues.push(`tsconfig path missing from ${tsConfigFile}`);
+        }
+        if(status.gitIgnore===false){
+            issues.push(`entry missing from ${gitIgnoreFile}`);
+        }
+        if(status.npmDepRemoved===false){
+            issues.push(`npm dependency still in ${packageJsonFile}`);
+        }
+        if(issues.length){
+            allInSync=false;
+        }
+
+        console.log(`---------------------------------------`);
+        console.log(`${pkg.dest} ${issues.length?'\x1b[31m(out of sync)\x1b[0m':'\x1b[32m(ok)\x1b[0m'}`);
+        console.log(`source:       ${pkg.dir}`);
+        console.log(`npmName:      ${pkg.npmName??'-'}`);
+        console.log(`linkMode:     ${pkg.linkMode??'-'}`);
+        console.log(`npmVersion:   ${pkg.installedNpmVersion??'-'}`);
+        console.log(`linked:       ${status.linked}`);
+        console.log(`broken:       ${status.broken}`);
+        console.log(`dest only:    ${status.destOnly}`);
+        console.log(`source only:  ${status.srcOnly}`);
+        console.log(`tsconfig:     ${formatStatusCheck(status.tsConfigPath)}`);
+        console.log(`gitignore:    ${formatStatusCheck(status.gitIgnore)}`);
+        console.log(`npm removed:  ${formatStatusCheck(status.npmDepRemoved)}`);
+        for(const issue of issues){
+            console.log(`\x1b[33m${issue}\x1b[0m`);
         }
+    }
+    console.log(`---------------------------------------`);
+
+    return allInSync;
+}
+
+/**
+ * @param {boolean|undefined} value
+ * @returns {string}
+ */
+const formatStatusCheck=(value)=>{
+    return value===undefined?'disabled':value?'ok':'\x1b[31mmissing\x1b[0m';
+}
 
+/**
+ * @typedef InjectedPkgStatus
+ * @prop {boolean} srcExists
+ * @prop {boolean} destExists
+ * @prop {number} linked
+ * @prop {number} broken
+ * @prop {number} destOnly
+ * @prop {number} srcOnly
+ * @prop {boolean|undefined} tsConfigPath undefined if the check is disabled for the package
+ * @prop {boolean|undefined} gitIgnore undefined if the check is disabled for the package
+ * @prop {boolean|undefined} npmDepRemoved undefined if the check is disabled for the package
+ */
+
+/**
+ * Checks the state of an injected package
+ * @param {Pkg} pkg
+ * @param {Record<string,any>} tsConfig
+ * @param {string[]} ignoreLines
+ * @param {Record<string,any>} packageJson
+ * @returns {Promise<InjectedPkgStatus>}
+ */
+const getInjectedPkgStatusAsync=async (pkg,tsConfig,ignoreLines,packageJson)=>{
+    const mode=pkg.linkMode??linkMode;
+    /** @type {InjectedPkgStatus} */
+    const status={
+        srcExists:await isDirAsync(pkg.dir),
+        destExists:await isDirAsync(pkg.dest),
+        linked:0,
+        broken:0,
+        destOnly:0,
+        srcOnly:0,
+    }
+
+    if(status.srcExists){
+        await scanDirAsync(pkg.dir,pkg.dest,async (name,srcPath,destPath,isDir)=>{
+            if(isDir){
+                return;
+            }
+            if(!await existsAsync(destPath)){
+                status.srcOnly++;
+            }else if(await isLinkedAsync(srcPath,destPath,mode)){
+                status.linked++;
+            }else{
+                status.broken++;
+            }
+        });
     }
 
-    if(current){
-        mergePackages(pkg,current);
+    if(status.destExists){
+        await scanDirAsync(pkg.dest,pkg.dir,async (name,destPath,srcPath,isDir)=>{
+            if(!isDir && !name.endsWith(conflictFileExt) && !await existsAsync(srcPath)){
+                status.destOnly++;
+            }
+        });
     }
 
+    if(!pkg.disableTsConfigPath && pkg.npmName){
+        const index=Path.join(pkg.dest,pkg.indexPath??'');
+        status.tsConfigPath=tsConfig.compilerOptions?.paths?.[pkg.npmName]?.includes(index)?true:false;
+    }
 
-    if(currentIndex===-1){
-        currentPackages.push(pkg);
-    }else{
-        currentPackages[currentIndex]=pkg;
+    if(!pkg.disableGitIgnore){
+        status.gitIgnore=ignoreLines.includes('/'+pkg.dest);
     }
-    if(!dryRun){
-        await fs.writeFile(currentPkgFile,JSON.stringify(currentPackages,null,4));
+
+    if(!pkg.disableNpmPackageUpdate && pkg.npmName){
+        status.npmDepRemoved=!(packageJson.dependencies?.[pkg.npmName] || packageJson.devDependencies?.[pkg.npmName]);
     }
+
+    return status;
 }
 
 /**
@@ -1336,19 +4409,69 @@ const ejectAsync=async (pkg)=>{
         )
     }
 
+    /** @type {string[]} */
+    const patches=[];
+
     if(destExists){
         // reverse dest and source
         await scanDirAsync(pkg.dest,pkg.dir,async (name,destPath,srcPath,isDir)=>{
             if(isDir){
                 return;
             }
+            if(name.endsWith(conflictFileExt)){
+                console.warn(`\x1b[33mRemoving reconcile conflict file with the package - ${destPath}\x1b[0m`);
+                return;
+            }
+            if(savePatchFile){
+                const patch=await createFilePatchAsync(srcPath,destPath,normPath(Path.relative(pkg.dest,destPath)),current?.linkMode);
+                if(patch){
+                    console.info(`patch: ${destPath}`);
+                    patches.push(patch);
+                }
+                return;
+            }
             if(!await existsAsync(srcPath)){
-                throw new Error(`Found an unlinked file in ejecting package. File does not exists in package source - (missing) ${srcPath} -> ${destPath}`);
+                throw new Error(
+                    `Found an unlinked file in ejecting package. File does not exists in package source - (missing) ${srcPath} -> ${destPath}. `+
+                    `Run --inject to move the file into the package source.`
+                );
             }
-            if(!await isLinkedAsync(srcPath,destPath)){
-                throw new Error(`Unlinked file detected. Can not eject or risk losing changes. ${srcPath} -> ${destPath}`);
+            if(!await isLinkedAsync(srcPath,destPath,current?.linkMode)){
+                throw new Error(
+                    `Unlinked file detected. Can not eject or risk losing changes. ${srcPath} -> ${destPath}. `+
+                    `Use --save-patch to save changes to a patch file before ejecting.`
+                );
             }
         });
+
+        // linked files missing from dest were deleted in the host repo. Packages injected without a
+        // linked file record can not tell deleted files apart from files added to the source.
+        if(savePatchFile && current?.linkedFiles && current.linkMode!=='dir-link'){
+            for(const relPath of current.linkedFiles){
+                const srcPath=Path.join(pkg.dir,relPath);
+                const destPath=Path.join(pkg.dest,relPath);
+                if(await existsAsync(destPath) || !await fs.stat(srcPath).then(s=>s.isFile(),()=>false)){
+                    continue;
+                }
+                const patch=await createFilePatchAsync(srcPath,destPath,relPath,current.linkMode);
+                if(patch){
+                    console.info(`patch: delete ${destPath}`);
+                    patches.push(patch);
+                }
+            }
+        }
+    }
+
+    if(patches.length && !dryRun){
+        const section=patchPackagePrefix+normPath(pkg.dir)+'\n'+patches.join('');
+        console.info(`save patch: ${savePatchFile}`);
+        if(savePatchStarted){
+            await fs.appendFile(savePatchFile,section);
+        }else{
+            await journalModifyAsync(savePatchFile);
+            await fs.writeFile(savePatchFile,section);
+            savePatchStarted=true;
+        }
     }
 
     if(!pkg.disableTsConfigPath && pkg.npmName){
@@ -1377,6 +4500,7 @@ const ejectAsync=async (pkg)=>{
         }
 
         if(!dryRun && changed){
+            await journalModifyAsync(tsConfigFile);
             await fs.writeFile(tsConfigFile,JSON.stringify(tsConfig,null,4));
         }
 
@@ -1409,6 +4533,7 @@ const ejectAsync=async (pkg)=>{
         if(changed){
             packageJsonFileChanged=true;
             if(!dryRun){
+                await journalModifyAsync(packageJsonFile);
                 await fs.writeFile(packageJsonFile,JSON.stringify(packageJson,null,4));
             }
         }
@@ -1422,9 +4547,10 @@ const ejectAsync=async (pkg)=>{
     if(!dryRun){
         if(!currentPackages.length){
             if(await existsAsync(currentPkgFile)){
-                await fs.unlink(currentPkgFile);
+                await journalDeleteAsync(currentPkgFile);
             }
         }else{
+            await journalModifyAsync(currentPkgFile);
             await fs.writeFile(currentPkgFile,JSON.stringify(currentPackages,null,4));
         }
     }
@@ -1435,13 +4561,111 @@ const ejectAsync=async (pkg)=>{
     if(destExists){
         console.info(`rmdir: ${pkg.dest}`);
         if(!dryRun){
-            await fs.rmdir(pkg.dest,{recursive:true});
+            await journalDeleteAsync(pkg.dest);
         }
     }
 
 
 }
 
+/**
+ * Creates a git compatible patch of the changes made to an injected file relative to its source.
+ * Files that do not exist in the source are patched as new files and files that do not exist in
+ * the injected package are patched as deleted files. An empty string is returned if the file is
+ * linked.
+ * @param {string} srcPath
+ * @param {string} destPath
+ * @param {string} relPath Path of the file relative to the root of the package
+ * @param {LinkMode|undefined} mode
+ * @returns {Promise<string>}
+ */
+const createFilePatchAsync=async (srcPath,destPath,relPath,mode)=>{
+    const [srcExists,destExists]=await Promise.all([
+        existsAsync(srcPath),
+        existsAsync(destPath),
+    ]);
+    if(srcExists && destExists && await isLinkedAsync(srcPath,destPath,mode)){
+        return '';
+    }
+    const [srcBuf,destBuf,stat]=await Promise.all([
+        srcExists?fs.readFile(srcPath):Buffer.alloc(0),
+        destExists?fs.readFile(destPath):Buffer.alloc(0),
+        fs.stat(destExists?destPath:srcPath),
+    ]);
+    if(srcExists===destExists && srcBuf.equals(destBuf)){
+        return '';
+    }
+    if(isBinaryBuffer(srcBuf) || isBinaryBuffer(destBuf)){
+        throw new Error(`Unable to save changes of binary file to patch - ${destPath}`);
+    }
+    const diff=createUnifiedDiff(
+        srcBuf.toString(),
+        destBuf.toString(),
+        srcExists?`a/${relPath}`:'/dev/null',
+        destExists?`b/${relPath}`:'/dev/null'
+    );
+    if(diff===null){
+        throw new Error(`Unable to save changes of file to patch, too many lines changed - ${destPath}`);
+    }
+    const header=[`diff --git a/${relPath} b/${relPath}`];
+    if(!srcExists){
+        header.push(`new file mode ${(stat.mode&0o111)?'100755':'100644'}`);
+    }else if(!destExists){
+        header.push(`deleted file mode ${(stat.mode&0o111)?'100755':'100644'}`);
+    }
+    return header.join('\n')+'\n'+diff;
+}
+
+/**
+ * Applies a patch created using --save-patch to the source directories of the packages in the patch
+ * @param {string} path
+ */
+const applyPatchAsync=async (path)=>{
+    const text=await loadTextAsync(path);
+    const sections=text.split('\n'+patchPackagePrefix);
+    if(sections[0].startsWith(patchPackagePrefix)){
+        sections[0]=sections[0].substring(patchPackagePrefix.length);
+    }else{
+        sections.shift();
+    }
+    if(!sections.length){
+        throw new Error(`No package patches found in ${path}`);
+    }
+
+    const tmpDir='.pkij/patches';
+    await fs.mkdir(tmpDir,{recursive:true});
+    try{
+        for(let i=0;i<sections.length;i++){
+            const section=sections[i];
+            const n=section.indexOf('\n');
+            const dir=section.substring(0,n).trim();
+            const patchPath=Path.resolve(tmpDir,`${i}.patch`);
+            await fs.writeFile(patchPath,section.substring(n+1));
+
+            // patch paths are relative to the package. When the package is in a git repo the
+            // patch is applied from the root of the repo with the package as the directory.
+            let cwd=dir;
+            let directory='';
+            try{
+                const opts={cwd:dir,silent:true,throwOnError:true,stderr:()=>{}};
+                directory=(await spawnAsync({...opts,cmd:'git rev-parse --show-prefix'})).trim();
+                cwd=(await spawnAsync({...opts,cmd:'git rev-parse --show-toplevel'})).trim();
+            }catch{
+                // not a git repo
+            }
+
+            console.info(`apply patch: ${dir}`);
+            await spawnAsync({
+                cmd:`git apply${dryRun?' --check':''}${directory?' '+quoteShellArg(`--directory=${directory}`):''} ${quoteShellArg(patchPath)}`,
+                cwd,
+                throwOnError:true,
+            });
+        }
+    }finally{
+        await fs.rm(tmpDir,{recursive:true,force:true});
+    }
+}
+
 /**
  * 
  * @param {string|null|undefined} npmName 
@@ -1611,7 +4835,8 @@ const buildTestAsync=async (pkg,outBaseDir)=>{
     const files=[];
     await scanDirAsync(pkg.dir,outdir,(file,srcPath)=>{
         if(file.endsWith('.test.ts') || file.endsWith('.spec.ts')){
-            files.push(srcPath);
+            // esbuild is ran in the package dir
+            files.push(Path.relative(pkg.dir,srcPath));
         }
     });
     if(!files.length){
@@ -1680,6 +4905,212 @@ const setPackageVersionAsync=async (version,packageJsonPath,config,ignoreScope)=
 
 }
 
+/**
+ * @typedef Version
+ * @prop {number} major
+ * @prop {number} minor
+ * @prop {number} patch
+ * @prop {string} pre Prerelease tag. Empty for releases
+ */
+
+const versionReg=/^\s*[=v]*(\d+)\.(\d+)\.(\d+)(?:-([\w.-]+))?(?:\+[\w.-]+)?\s*$/;
+const partialVersionReg=/^[=v]*(\d+|[xX*])?(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([\w.-]+))?(?:\+[\w.-]+)?$/;
+const comparatorReg=/^(<=|>=|<|>|=|\^|~>?)?(.*)$/;
+
+/**
+ * Parses a semver version
+ * @param {string} version
+ * @returns {Version|null}
+ */
+const parseVersion=(version)=>{
+    const match=versionReg.exec(version);
+    if(!match){
+        return null;
+    }
+    return {
+        major:Number(match[1]),
+        minor:Number(match[2]),
+        patch:Number(match[3]),
+        pre:match[4]??'',
+    }
+}
+
+/**
+ * Returns the part of a version that changes on breaking changes following the caret range rule.
+ * For 0.x versions the first non-zero part is treated as the major version.
+ * @param {Version|null} version
+ * @returns {string|undefined}
+ */
+const getBreakingVersion=(version)=>{
+    if(!version){
+        return undefined;
+    }
+    return version.major>0?`${version.major}`:version.minor>0?`0.${version.minor}`:`0.0.${version.patch}`;
+}
+
+/**
+ * Compares 2 versions. Prerelease versions are lower than release versions.
+ * @param {Version} a
+ * @param {Version} b
+ * @returns {number}
+ */
+const compareVersions=(a,b)=>{
+    if(a.major!==b.major){
+        return a.major-b.major;
+    }
+    if(a.minor!==b.minor){
+        return a.minor-b.minor;
+    }
+    if(a.patch!==b.patch){
+        return a.patch-b.patch;
+    }
+    if(a.pre===b.pre){
+        return 0;
+    }
+    if(!a.pre){
+        return 1;
+    }
+    if(!b.pre){
+        return -1;
+    }
+    return a.pre.localeCompare(b.pre,undefined,{numeric:true});
+}
+
+/**
+ * Checks if a version satisfies an npm version range. Supports x-ranges, caret, tilde, hyphen and
+ * comparator ranges combined with ||. Returns null if the range can not be parsed, for example
+ * for file, git or workspace ranges. As with npm, prerelease versions only satisfy ranges that
+ * include a prerelease of the same major, minor and patch version.
+ * @param {Version} version
+ * @param {string} range
+ * @returns {boolean|null}
+ */
+const satisfiesRange=(version,range)=>{
+    for(const alt of range.split('||')){
+        const comparators=parseRangeComparators(alt);
+        if(!comparators){
+            return null;
+        }
+        if(comparators.every(c=>{
+            const r=compareVersions(version,c.version);
+            switch(c.op){
+                case '<': return r<0;
+                case '<=': return r<=0;
+                case '>': return r>0;
+                case '>=': return r>=0;
+                default: return r===0;
+            }
+        }) && (!version.pre || comparators.some(c=>(
+            c.version.pre &&
+            c.version.major===version.major &&
+            c.version.minor===version.minor &&
+            c.version.patch===version.patch
+        )))){
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Returns the lowest version allowed by a version range
+ * @param {string} range
+ * @returns {string|undefined}
+ */
+const getRangeMinVersion=(range)=>{
+    const comparators=parseRangeComparators(range.split('||')[0]);
+    const min=comparators?.find(c=>c.op==='>=' || c.op==='=')?.version;
+    if(comparators && !min){
+        return comparators.length?undefined:'0.0.0';
+    }
+    return min?`${min.major}.${min.minor}.${min.patch}${min.pre?'-'+min.pre:''}`:undefined;
+}
+
+/**
+ * Converts a single range without || into a list of primitive comparators
+ * @param {string} range
+ * @returns {{op:string,version:Version}[]|null}
+ */
+const parseRangeComparators=(range)=>{
+    range=range.trim();
+    const hyphen=/^(\S+)\s+-\s+(\S+)$/.exec(range);
+    if(hyphen){
+        const from=parseRangeComparators('>='+hyphen[1]);
+        const to=parseRangeComparators('<='+hyphen[2]);
+        return (from && to)?[...from,...to]:null;
+    }
+
+    /** @type {{op:string,version:Version}[]} */
+    const comparators=[];
+    const tokens=range.replace(/(<=|>=|<|>|=|\^|~>?)\s+/g,'$1').split(/\s+/).filter(t=>t);
+    for(const token of tokens){
+        const [,op='',rest]=comparatorReg.exec(token);
+        const match=partialVersionReg.exec(rest);
+        if(!match){
+            return null;
+        }
+        const num=(v)=>(v===undefined || /[xX*]/.test(v))?undefined:Number(v);
+        const major=num(match[1]);
+        const minor=major===undefined?undefined:num(match[2]);
+        const patch=minor===undefined?undefined:num(match[3]);
+        const pre=patch===undefined?'':(match[4]??'');
+        const v=(major,minor,patch,pre='')=>({major,minor,patch,pre});
+        const low=v(major??0,minor??0,patch??0,pre);
+
+        if(major===undefined){
+            if(op==='<' || op==='>'){
+                // nothing can be greater or less than any version
+                comparators.push({op:'<',version:v(0,0,0,'0')});
+            }
+            continue;
+        }
+
+        // the first version not included by a partial version
+        const next=minor===undefined?v(major+1,0,0,'0'):patch===undefined?v(major,minor+1,0,'0'):null;
+
+        switch(op){
+
+            case '^':
+                comparators.push({op:'>=',version:low});
+                comparators.push({op:'<',version:(
+                    (major>0 || minor===undefined)?v(major+1,0,0,'0'):
+                    (minor>0 || patch===undefined)?v(0,minor+1,0,'0'):
+                    v(0,0,patch+1,'0')
+                )});
+                break;
+
+            case '~':
+            case '~>':
+                comparators.push({op:'>=',version:low});
+                comparators.push({op:'<',version:minor===undefined?v(major+1,0,0,'0'):v(major,minor+1,0,'0')});
+                break;
+
+            case '>':
+                comparators.push(next?{op:'>=',version:next}:{op:'>',version:low});
+                break;
+
+            case '<=':
+                comparators.push(next?{op:'<',version:next}:{op:'<=',version:low});
+                break;
+
+            case '>=':
+            case '<':
+                comparators.push({op,version:low});
+                break;
+
+            default:
+                if(next){
+                    comparators.push({op:'>=',version:low});
+                    comparators.push({op:'<',version:next});
+                }else{
+                    comparators.push({op:'=',version:low});
+                }
+                break;
+        }
+    }
+    return comparators;
+}
+
 const addVersions=(a,b)=>{
     const aAry=a.split('.').map(n=>Number(n));
     const bAry=b.split('.').map(n=>Number(n));
@@ -1920,33 +5351,318 @@ const buildAsync=async ()=>{
 
     await updateTsConfigsAsync();
 
-    const max=1000;
-    const working=[];
+    const buildList=buildPkgs.filter(p=>buildPaths.includes(p.dir));
+
+    /** @type {Record<string,PkgBuildResult>} */
+    const results={};
+    for(const pkg of buildList){
+        results[pkg.dir]={status:'skipped',duration:0};
+    }
+
+    try{
+        if(!buildIndividualPackages){
+            // packages restored from the cache and packages not affected by changes since the
+            // --since ref are not compiled
+            let tscDirs=[];
+            if(useCache){
+                tscDirs=await getUncachedBuildDirsAsync(buildList);
+            }else if(affectedDirs){
+                tscDirs=buildList.filter(p=>!p.config?.build?.disabled && !p.config?.disabled).map(p=>p.dir);
+            }
+            if((!useCache && !affectedDirs) || tscDirs.length){
+                const buildCmd=`npx tsc --build${tscDirs.map(d=>' '+quoteShellArg(d)).join('')}`;
+                if(dryRun){
+                    console.log(`dry run> ${buildCmd}`);
+                }else{
+                    await spawnBuildStepAsync('.',{
+                        cmd:buildCmd,
+                    });
+                }
+            }
+        }
+
+        try{
+            // when all projects are built in a single pass by tsc packages do not depend on each other
+            await runInDependencyOrderAsync(
+                buildList.map(p=>p.dir),
+                buildIndividualPackages?getBuildPkgDepDirs:()=>[],
+                async dir=>{
+                    const start=Date.now();
+                    const result=results[dir];
+                    result.start=start;
+                    try{
+                        result.status=await buildPackageAsync(buildPkgs.find(p=>p.dir===dir));
+                    }catch(ex){
+                        result.status='failed';
+                        result.error=ex instanceof Error?ex.message:`Exit code ${ex}`;
+                        if(ex instanceof Error){
+                            console.error(`Failed to build ${dir}`,ex);
+                        }
+                        throw ex;
+                    }finally{
+                        result.duration=Date.now()-start;
+                    }
+                }
+            );
+        }catch(ex){
+            if(!Object.values(results).some(r=>r.status==='failed')){
+                throw ex;
+            }
+        }
+    }catch(ex){
+        await tryWriteBuildReportsAsync(startTime,results,ex);
+        throw ex;
+    }
+
+    printBuildSummary(results);
+
+    await tryWriteBuildReportsAsync(startTime,results);
+
+    const failed=Object.keys(results).filter(dir=>results[dir].status==='failed');
+    if(failed.length){
+        throw new Error(`Build failed in ${failed.join(', ')}`);
+    }
+
+    console.log(`Build complete in ${(Date.now()-startTime).toLocaleString()}ms`)
+}
+
+/**
+ * Returns the dirs of packages that are not disabled and do not have a cached build
+ * @param {Pkg[]} pkgs
+ * @returns {Promise<string[]>}
+ */
+const getUncachedBuildDirsAsync=async (pkgs)=>{
+    const cacheDir=await getCacheDirAsync();
+    /** @type {string[]} */
+    const dirs=[];
+    for(const pkg of pkgs){
+        if(pkg.config?.build?.disabled || pkg.config?.disabled){
+            continue;
+        }
+        const key=await getPkgBuildHashAsync(pkg);
+        if(!await existsAsync(Path.join(cacheDir,key,'outputs.json'))){
+            dirs.push(pkg.dir);
+        }
+    }
+    return dirs;
+}
+
+/**
+ * @typedef PkgBuildResult
+ * @prop {'built'|'cached'|'disabled'|'failed'|'skipped'} status skipped = a dependency failed or the build was stopped
+ * @prop {number} duration Milliseconds
+ * @prop {number|undefined} start Unix time in milliseconds the build of the package started
+ * @prop {string|undefined} error
+ */
+
+/**
+ * @typedef BuildStep
+ * @prop {string} cmd
+ * @prop {number} start Unix time in milliseconds
+ * @prop {number} duration Milliseconds
+ * @prop {boolean|undefined} failed
+ */
+
+/**
+ * Commands ran by builds by package dir. Commands that build all packages are stored under "."
+ * @type {Record<string,BuildStep[]>}
+ */
+const buildSteps={};
+
+/**
+ * Spawns a build command and records its duration in buildSteps
+ * @param {string} dir Dir of the package being built or "." for commands that build all packages
+ * @param {SpawnOptions} options
+ * @returns {Promise<string>}
+ */
+const spawnBuildStepAsync=async (dir,options)=>{
+    /** @type {BuildStep} */
+    const step={cmd:options.cmd,start:Date.now(),duration:0};
+    (buildSteps[dir]??=[]).push(step);
+    try{
+        return await spawnAsync(options);
+    }catch(ex){
+        step.failed=true;
+        throw ex;
+    }finally{
+        step.duration=Date.now()-step.start;
+    }
+}
+
+/**
+ * Returns the total size in bytes of the files in a directory
+ * @param {string} dir
+ * @returns {Promise<number>}
+ */
+const getDirSizeAsync=async (dir)=>{
+    let size=0;
+    await scanDirAsync(dir,dir,async (name,srcPath,destPath,isDir)=>{
+        if(!isDir){
+            size+=(await fs.stat(srcPath)).size;
+        }
+    });
+    return size;
+}
+
+/**
+ * Calls writeBuildReportsAsync and logs errors instead of throwing them so that a failure to write a
+ * report does not replace the error of a failed build. The exit code is set to 1 on failure.
+ * @param {number} startTime
+ * @param {Record<string,PkgBuildResult>} results
+ * @param {any} error
+ */
+const tryWriteBuildReportsAsync=async (startTime,results,error=undefined)=>{
+    try{
+        await writeBuildReportsAsync(startTime,results,error);
+    }catch(ex){
+        console.error('Unable to write build report',ex);
+        process.exitCode=1;
+    }
+}
+
+/**
+ * Writes the JSON report and Chrome trace event file of a build if --report or --report-trace are
+ * used. Times in the report are milliseconds relative to the start of the build. When packages are
+ * not built individually all packages are compiled by a single `npx tsc --build` command that is
+ * recorded in the top level commands of the report and the commands of packages only include the
+ * commands ran for the package after tsc, such as esbuild.
+ * @param {number} startTime Unix time in milliseconds the build started
+ * @param {Record<string,PkgBuildResult>} results
+ * @param {any} error Error that stopped the build
+ */
+const writeBuildReportsAsync=async (startTime,results,error=undefined)=>{
+    if(!reportFile && !reportTraceFile){
+        return;
+    }
+
+    const relSteps=(steps)=>(steps??[]).map(s=>({...s,start:s.start-startTime}));
+
+    const packages=await Promise.all(Object.keys(results).map(async dir=>{
+        const pkg=buildPkgs.find(p=>p.dir===dir);
+        const {outDir}=getPkgOut(pkg);
+        const result=results[dir];
+        const outExists=await existsAsync(outDir);
+        const binDir=Path.join(outDir,'bin');
+        const binFiles=(pkg.binDir && await existsAsync(binDir))?
+            (await fs.readdir(binDir)).filter(f=>f.endsWith('.js')).map(f=>`bin/${f}`).sort()
+        :
+            [];
+        return {
+            dir,
+            name:pkg.npmName,
+            status:result.status,
+            start:result.start===undefined?undefined:result.start-startTime,
+            duration:result.duration,
+            commands:relSteps(buildSteps[dir]),
+            outDir,
+            outputSize:outExists?await getDirSizeAsync(outDir):0,
+            binFiles,
+            assetCount:pkg.assets?.length??0,
+            error:result.error,
+        }
+    }));
+
+    const report={
+        startTime:new Date(startTime).toISOString(),
+        duration:Date.now()-startTime,
+        status:(error || packages.some(p=>p.status==='failed'))?'failed':'succeeded',
+        error:error===undefined?undefined:error instanceof Error?error.message:`Exit code ${error}`,
+        commands:relSteps(buildSteps['.']),
+        packages,
+    }
+
+    /** @type {{path:string,content:any,name:string}[]} */
+    const files=[];
+    if(reportFile){
+        files.push({path:reportFile,content:report,name:'report'});
+    }
+    if(reportTraceFile){
+        files.push({path:reportTraceFile,content:createBuildTrace(report),name:'trace'});
+    }
 
-    if(!buildIndividualPackages){
-        const buildCmd=`npx tsc --build`;
+    for(const {path,content,name} of files){
         if(dryRun){
-            console.log(`dry run> ${buildCmd}`);
-        }else{
-            await spawnAsync({
-                cmd:buildCmd,
-            });
+            console.log(`dry run> write ${path}`);
+            continue;
         }
+        await fs.mkdir(Path.dirname(Path.resolve(path)),{recursive:true});
+        await fs.writeFile(path,JSON.stringify(content,null,4));
+        console.log(`Build ${name} written to ${path}`);
     }
+}
 
-    const buildList=buildPkgs.filter(p=>buildPaths.includes(p.dir));
-    for(const pkg of buildList){
-        working.push(buildPackageAsync(pkg));
-
-        if(working.length>=max){
-            await Promise.all(working);
-            working.splice(0,working.length);
+/**
+ * Converts a build report to the Chrome trace event format. Each package is a complete event with
+ * the commands it ran nested inside. Packages built at the same time are placed on separate threads.
+ * @param {Record<string,any>} report
+ * @returns {Record<string,any>}
+ */
+const createBuildTrace=(report)=>{
+    const pid=1;
+    const events=[
+        {name:'process_name',ph:'M',pid,tid:0,args:{name:'pkij build'}},
+        {name:'thread_name',ph:'M',pid,tid:0,args:{name:'build'}},
+    ];
+    /**
+     * @param {string} name
+     * @param {string} cat
+     * @param {number} start ms
+     * @param {number} duration ms
+     * @param {number} tid
+     * @param {Record<string,any>} args
+     */
+    const addEvent=(name,cat,start,duration,tid,args)=>{
+        events.push({name,cat,ph:'X',ts:start*1000,dur:duration*1000,pid,tid,args});
+    }
+
+    addEvent('build','build',0,report.duration,0,{status:report.status});
+    for(const step of report.commands){
+        addEvent(step.cmd,'command',step.start,step.duration,0,{failed:step.failed??false});
+    }
+
+    /** End times of the packages on each thread */
+    const threadEnds=[];
+    const started=report.packages.filter(p=>p.start!==undefined).sort((a,b)=>a.start-b.start);
+    for(const pkg of started){
+        let i=threadEnds.findIndex(end=>end<=pkg.start);
+        if(i===-1){
+            i=threadEnds.length;
+            events.push({name:'thread_name',ph:'M',pid,tid:i+1,args:{name:`worker ${i+1}`}});
+        }
+        threadEnds[i]=pkg.start+pkg.duration;
+        addEvent(pkg.dir,'package',pkg.start,pkg.duration,i+1,{
+            status:pkg.status,
+            outputSize:pkg.outputSize,
+            binFiles:pkg.binFiles,
+            assetCount:pkg.assetCount,
+            error:pkg.error,
+        });
+        for(const step of pkg.commands){
+            addEvent(step.cmd,'command',step.start,step.duration,i+1,{failed:step.failed??false});
         }
     }
 
-    await Promise.all(working);
+    return {traceEvents:events,displayTimeUnit:'ms'};
+}
 
-    console.log(`Build complete in ${(Date.now()-startTime).toLocaleString()}ms`)
+/**
+ * Prints a table of the status and duration of package builds
+ * @param {Record<string,PkgBuildResult>} results
+ */
+const printBuildSummary=(results)=>{
+    const dirs=Object.keys(results);
+    if(!dirs.length){
+        return;
+    }
+    const colors={built:'32',cached:'36',disabled:'90',failed:'31',skipped:'33'};
+    const dirWidth=Math.max(7,...dirs.map(d=>d.length));
+    console.log(`\n${'package'.padEnd(dirWidth)}  ${'status'.padEnd(8)}  duration`);
+    console.log(`${'-'.repeat(dirWidth)}  ${'-'.repeat(8)}  ${'-'.repeat(8)}`);
+    for(const dir of dirs){
+        const {status,duration}=results[dir];
+        console.log(`${dir.padEnd(dirWidth)}  \x1b[${colors[status]}m${status.padEnd(8)}\x1b[0m  ${(duration.toLocaleString()+'ms').padStart(8)}`);
+    }
+    console.log('');
 }
 
 /**
@@ -2042,11 +5758,12 @@ const getPkgOut=(pkg)=>{
 /**
  * Builds a package
  * @param {Pkg} pkg
+ * @returns {Promise<'built'|'cached'|'disabled'>}
  */
 const buildPackageAsync=async (pkg)=>{
 
     if(pkg.config?.build?.disabled || pkg.config?.disabled){
-        return;
+        return 'disabled';
     }
 
     if(verbose){
@@ -2055,12 +5772,27 @@ const buildPackageAsync=async (pkg)=>{
 
     const {outBaseDir,outDir}=getPkgOut(pkg);
 
-    if(buildIndividualPackages && (pkg.config?.type??'lib')==='lib'){
-        await buildLibAsync(pkg);
-    }
+    const cacheKey=useCache?await getPkgBuildHashAsync(pkg):null;
+    const cached=cacheKey?await restoreCacheAsync(cacheKey,[outDir]):false;
+    if(cached){
+        console.log(`${pkg.dir} restored from cache`);
+        // fields set while building, such as bin, are restored from the cached package.json
+        const cachedPackageJson=await loadJsonOrDefaultAsync(Path.join(outDir,'package.json'),{});
+        if(cachedPackageJson.bin && !pkg.packageJson.bin){
+            pkg.packageJson.bin=cachedPackageJson.bin;
+        }
+    }else{
+        if(buildIndividualPackages && (pkg.config?.type??'lib')==='lib'){
+            await buildLibAsync(pkg);
+        }
+
+        if(pkg.binDir){
+            await buildBinAsync(pkg);
+        }
 
-    if(pkg.binDir){
-        await buildBinAsync(pkg);
+        if((pkg.config?.type??'lib')==='lib' && pkg.config?.build?.formats?.length){
+            await buildFormatsAsync(pkg);
+        }
     }
 
     const packageJson=pkg.packageJson;
@@ -2069,7 +5801,7 @@ const buildPackageAsync=async (pkg)=>{
         existsAsync(Path.join(outDir,'src')),
         existsAsync(Path.join(outDir,'src/index.js')),
     ])
-    if(!packageJson.main && indexExists){
+    if(!packageJson.main && indexExists && !pkg.config?.build?.formats?.length){
         packageJson.main='./src/index.js';
     }
     if(packageJson.sideEffects===undefined){
@@ -2078,12 +5810,378 @@ const buildPackageAsync=async (pkg)=>{
 
     if(!dryRun && outExists){
         await Promise.all([
-            fs.writeFile(Path.join(outDir,'package.json'),JSON.stringify(packageJson,null,4)),
             srcExists?fs.writeFile(Path.join(outDir,'src/package.json'),'{"sideEffects":false}'):null,
             ...(pkg.assets?.map(a=>copyAsync(a,Path.join(outBaseDir,a)))??[])
         ]);
+        await addPackageEntryPointsAsync(pkg,outDir,packageJson);
+        await fs.writeFile(Path.join(outDir,'package.json'),JSON.stringify(packageJson,null,4));
+    }
+
+    // saved after the package.json is written so that fields set while building are cached
+    if(cacheKey && !cached){
+        await saveCacheAsync(cacheKey,[outDir]);
+    }
+
+    return cached?'cached':'built';
+}
+
+/**
+ * Returns the entry points of a package by subpath. Entry points are paths of source files relative
+ * to the package.
+ * @param {Pkg} pkg
+ * @returns {Record<string,string>}
+ */
+const getPackageEntries=(pkg)=>{
+    /** @type {Record<string,string>} */
+    const entries={'.':pkg.indexPath??'src/index.ts'};
+    for(const e in pkg.config?.build?.exports??{}){
+        entries[e.startsWith('.')?e:'./'+e]=pkg.config.build.exports[e];
+    }
+    return entries;
+}
+
+/** @type {BuildFormat[]} */
+const buildFormats=['esm','cjs'];
+
+/**
+ * Returns the common parent directory of the entry points of a package. Format builds use it as
+ * the outbase so that every entry point is emitted inside the out dir of the format.
+ * @param {Record<string,string>} entries
+ * @returns {string}
+ */
+const getEntriesOutbase=(entries)=>{
+    /** @type {string[]|null} */
+    let common=null;
+    for(const path of Object.values(entries)){
+        const parts=normPath(Path.dirname(Path.normalize(path))).split('/');
+        if(!common){
+            common=parts;
+            continue;
+        }
+        let i=0;
+        while(i<common.length && i<parts.length && common[i]===parts[i]){
+            i++;
+        }
+        common=common.slice(0,i);
+    }
+    return common?.length?common.join('/'):'.';
+}
+
+/**
+ * Builds the entry points of a library package in each of the package's build formats using esbuild.
+ * Each format is written to a subfolder of the out dir with a package.json that marks the module type
+ * and repeats a boolean sideEffects field of the package's package.json.
+ * Internal and external dependencies are not bundled.
+ * @param {Pkg} pkg
+ */
+const buildFormatsAsync=async (pkg)=>{
+    const {outDir}=getPkgOut(pkg);
+    const entries=getPackageEntries(pkg);
+    const files=[...new Set(Object.values(entries))];
+
+    for(const format of pkg.config?.build?.formats??[]){
+        if(!buildFormats.includes(format)){
+            throw new Error(`Invalid build format for ${pkg.dir} - ${format}. Valid formats: ${buildFormats.join(', ')}`);
+        }
+        const outdir=Path.join(outDir,format);
+        await esbuildAsync({
+            pkg,
+            outdir,
+            clearOut:true,
+            files,
+            esBuildOptions:{
+                format,
+                outbase:getEntriesOutbase(entries),
+                external:[...esBuildConfigBase.external,...(pkg.externalDeps??[]),...(pkg.deps??[])],
+            }
+        });
+        if(!dryRun){
+            // bundlers read sideEffects from the nearest package.json so a boolean value of the
+            // package is repeated. It is not defaulted to false since modules may rely on import side
+            // effects and path patterns are relative to the package.json they are defined in.
+            const sideEffects=pkg.packageJson?.sideEffects;
+            await fs.writeFile(Path.join(outdir,'package.json'),JSON.stringify({
+                type:format==='esm'?'module':'commonjs',
+                sideEffects:typeof sideEffects==='boolean'?sideEffects:undefined,
+            },null,4));
+        }
+    }
+}
+
+/**
+ * Converts the path of a source file relative to a package to the path of an emitted file relative
+ * to the out dir of the package
+ * @param {string} srcPath
+ * @param {string} ext Extension of the emitted file
+ * @returns {string}
+ */
+const getOutEntryPath=(srcPath,ext)=>{
+    return './'+normPath(srcPath).replace(/^\.\//,'').replace(/\.(tsx?|mts|cts|jsx?|mjs|cjs)$/i,'')+ext;
+}
+
+/**
+ * Adds exports, types, typings and files fields to the package.json of a built package based on the
+ * emitted files in the out dir. Fields defined in the package's package.json are not changed. An
+ * error is thrown if a path written to the package.json does not exist in the out dir.
+ * @param {Pkg} pkg
+ * @param {string} outDir
+ * @param {Record<string,any>} packageJson
+ */
+const addPackageEntryPointsAsync=async (pkg,outDir,packageJson)=>{
+
+    /** @type {string[]} */
+    const written=[];
+    /** @type {string[]} */
+    const missing=[];
+
+    const entries=getPackageEntries(pkg);
+    const formats=pkg.config?.build?.formats??[];
+    const outbase=getEntriesOutbase(entries);
+
+    /** @type {Record<string,any>} */
+    const exports={};
+    for(const subpath in entries){
+        const dts=getOutEntryPath(entries[subpath],'.d.ts');
+        /** @type {Record<string,string>} */
+        const entry=await existsAsync(Path.join(outDir,dts))?{types:dts}:{};
+        if(formats.length){
+            const rel=Path.relative(outbase,entries[subpath]);
+            for(const format of formats){
+                entry[format==='esm'?'import':'require']=getOutEntryPath(Path.join(format,rel),'.js');
+            }
+            entry.default=entry[formats[0]==='esm'?'import':'require'];
+        }else{
+            const js=getOutEntryPath(entries[subpath],'.js');
+            if(!await existsAsync(Path.join(outDir,js))){
+                if(subpath!=='.'){
+                    missing.push(`${subpath} -> ${js}`);
+                }
+                continue;
+            }
+            entry.default=js;
+        }
+        exports[subpath]=entry;
+    }
+
+    if(!packageJson.exports && Object.keys(exports).length){
+        packageJson.exports={...exports,'./package.json':'./package.json'};
+        written.push(...Object.values(exports).flatMap(e=>Object.values(e)));
+    }
+
+    if(formats.length && exports['.']){
+        const root=exports['.'];
+        if(!packageJson.main){
+            packageJson.main=root.require??root.import;
+            written.push(packageJson.main);
+        }
+        if(!packageJson.module && root.import){
+            packageJson.module=root.import;
+            written.push(root.import);
+        }
+    }
+
+    const rootTypes=exports['.']?.types;
+    if(rootTypes){
+        for(const prop of ['types','typings']){
+            if(!packageJson[prop]){
+                packageJson[prop]=rootTypes;
+                written.push(rootTypes);
+            }
+        }
+    }
+
+    if(!packageJson.files){
+        const names=await fs.readdir(outDir);
+        packageJson.files=names.filter(n=>n!=='package.json' && n!=='.npmrc' && !n.endsWith('.tsbuildinfo')).sort();
+    }
+
+    for(const path of written){
+        if(!missing.includes(path) && !await existsAsync(Path.join(outDir,path))){
+            missing.push(path);
+        }
+    }
+    if(missing.length){
+        throw new Error(`Built package.json of ${pkg.dir} references files that do not exist in ${outDir}:\n  ${missing.join('\n  ')}`);
+    }
+}
+
+/**
+ * Returns the directory where build and script outputs are cached
+ * @returns {Promise<string>}
+ */
+const getCacheDirAsync=async ()=>{
+    if(cacheDir){
+        return cacheDir;
+    }
+    /** @type {Config} */
+    const config=await loadJsonOrDefaultAsync(pkijConfigFileName,{});
+    return config.cacheDir??defaultCacheDir;
+}
+
+/**
+ * Adds the paths and contents of all files in a directory to a hash. Files in the ignore list, git
+ * and pkij directories, the cache directory and excluded paths are skipped.
+ * @param {crypto.Hash} hash
+ * @param {string} dir
+ * @param {string[]} exclude
+ */
+const hashDirAsync=async (hash,dir,exclude=[])=>{
+    const excludeAbs=[...exclude,'.git','.pkij',await getCacheDirAsync()].map(e=>Path.resolve(e));
+    /** @type {string[]} */
+    const files=[];
+    await scanDirAsync(dir,dir,(name,srcPath,destPath,isDir)=>{
+        const abs=Path.resolve(srcPath);
+        if(!isDir && !excludeAbs.some(e=>abs===e || abs.startsWith(e+Path.sep))){
+            files.push(srcPath);
+        }
+    });
+    files.sort();
+    for(const file of files){
+        hash.update(normPath(Path.relative(dir,file))+'\0');
+        hash.update(await fs.readFile(file));
+        hash.update('\0');
+    }
+}
+
+/**
+ * Adds the env variables loaded by pkij for a package to a hash. Variables inherited from the parent
+ * process are not included so that cache keys are stable between shells.
+ * @param {crypto.Hash} hash
+ * @param {string} dir
+ */
+const hashPackageEnvAsync=async (hash,dir)=>{
+    const env=await getPackageEnvAsync(dir);
+    const names=Object.keys(env).filter(n=>envSources[n] || env[n]!==process.env[n]).sort();
+    for(const name of names){
+        hash.update(`${name}=${env[name]}\0`);
+    }
+}
+
+/**
+ * Cached build hashes by package dir
+ * @type {Record<string,Promise<string>>}
+ */
+const pkgBuildHashes={};
+
+/**
+ * Returns a hash of the inputs of a package build. The hash includes the source files, tsconfig and
+ * env of the package and the hashes of the package's internal dependencies.
+ * @param {Pkg} pkg
+ * @param {string[]} stack Dirs of packages that depend on the package. Used to break circular dependencies
+ * @returns {Promise<string>}
+ */
+const getPkgBuildHashAsync=(pkg,stack=[])=>{
+    if(!pkgBuildHashes[pkg.dir]){
+        pkgBuildHashes[pkg.dir]=(async ()=>{
+            const hash=crypto.createHash('sha256');
+            hash.update(JSON.stringify({
+                cacheVersion,
+                buildIndividualPackages,
+                buildPeerInternalOnly,
+                tsConfig:pkg.tsConfig,
+                rootTsConfig,
+                rootPackageJson:rootBuildPackageJson,
+            }));
+            await hashDirAsync(hash,pkg.dir);
+            await hashPackageEnvAsync(hash,pkg.dir);
+            for(const dep of [...pkg.deps].sort()){
+                const depPkg=buildPkgs.find(p=>p.npmName===dep);
+                if(depPkg && depPkg!==pkg && !stack.includes(depPkg.dir)){
+                    hash.update(dep+':'+await getPkgBuildHashAsync(depPkg,[...stack,pkg.dir]));
+                }
+            }
+            return hash.digest('hex');
+        })();
+    }
+    return pkgBuildHashes[pkg.dir];
+}
+
+/**
+ * Returns the cache key of a script. The key includes the files of the package excluding outputs,
+ * the command, arguments and env of the script.
+ * @param {ScriptTarget} target
+ * @param {FoundScript} script
+ * @param {string[]} args
+ * @param {string[]} outputs
+ * @returns {Promise<string>}
+ */
+const getScriptCacheKeyAsync=async (target,script,args,outputs)=>{
+    const hash=crypto.createHash('sha256');
+    hash.update(JSON.stringify({
+        cacheVersion,
+        name:target.name,
+        cmd:createScriptCommand(script,args),
+        cwd:normPath(Path.relative(target.dir,script.cwd)),
+        env:script.def.env,
+    }));
+    await hashDirAsync(hash,target.dir,outputs);
+    await hashPackageEnvAsync(hash,target.dir);
+    return hash.digest('hex');
+}
+
+/**
+ * Restores cached outputs. Returns false if no cache entry exists for the key.
+ * @param {string} key
+ * @param {string[]} outputs Paths relative to the root of the project
+ * @returns {Promise<boolean>}
+ */
+const restoreCacheAsync=async (key,outputs)=>{
+    const entryDir=Path.join(await getCacheDirAsync(),key);
+    /** @type {string[]|null} */
+    const stored=await loadJsonOrDefaultAsync(Path.join(entryDir,'outputs.json'),null);
+    if(!stored){
+        return false;
+    }
+    if(verbose){
+        console.log(`restore cache: ${entryDir}`);
+    }
+    if(dryRun){
+        return true;
+    }
+    for(const output of outputs){
+        await fs.rm(output,{recursive:true,force:true});
     }
+    for(const output of stored){
+        await fs.cp(Path.join(entryDir,'files',output),output,{recursive:true});
+    }
+    return true;
+}
 
+/**
+ * Copies outputs into the cache. Outputs that do not exist are skipped. Entries are written to a
+ * temporary directory then renamed so that a partially written entry is never restored.
+ * @param {string} key
+ * @param {string[]} outputs Paths relative to the root of the project
+ */
+const saveCacheAsync=async (key,outputs)=>{
+    if(dryRun){
+        return;
+    }
+    const dir=await getCacheDirAsync();
+    const entryDir=Path.join(dir,key);
+    const tmpDir=Path.join(dir,`${key}.tmp-${process.pid}`);
+    try{
+        await fs.rm(tmpDir,{recursive:true,force:true});
+        const stored=[];
+        for(const output of outputs){
+            const relPath=normPath(Path.relative('.',output));
+            if(relPath.startsWith('../') || !await existsAsync(output)){
+                continue;
+            }
+            await fs.cp(output,Path.join(tmpDir,'files',relPath),{recursive:true});
+            stored.push(relPath);
+        }
+        await fs.mkdir(tmpDir,{recursive:true});
+        await fs.writeFile(Path.join(tmpDir,'outputs.json'),JSON.stringify(stored));
+        await fs.rm(entryDir,{recursive:true,force:true});
+        await fs.rename(tmpDir,entryDir);
+        if(verbose){
+            console.log(`save cache: ${entryDir}`);
+        }
+    }catch(ex){
+        console.warn(`\x1b[33mUnable to save cache entry ${entryDir}\x1b[0m`,ex);
+        await fs.rm(tmpDir,{recursive:true,force:true});
+    }
 }
 
 const copyAsync=async (src,dest)=>{
@@ -2132,7 +6230,8 @@ const buildBinAsync=async (pkg)=>{
     const files=(
         (await fs.readdir(pkg.binDir))
         .filter(f=>f.toLowerCase().endsWith('.ts') || f.toLowerCase().endsWith('.js'))
-        .map(f=>Path.join(pkg.binDir,f))
+        // esbuild is ran in the package dir
+        .map(f=>Path.join(Path.relative(pkg.dir,pkg.binDir),f))
     )
     if(!files.length){
         return;
@@ -2185,9 +6284,10 @@ const esbuildAsync=async ({pkg,outdir,clearOut,files,addBinsToPackageJson,esBuil
         if(dryRun){
             console.log(`dry run> ${cmd}`);
         }else{
-            await spawnAsync({
+            await spawnBuildStepAsync(pkg.dir,{
                 cwd:pkg.dir,
                 cmd,
+                env:await getPackageEnvAsync(pkg.dir),
             });
             if(addBinsToPackageJson && !pkg.packageJson.bin){
                 pkg.packageJson.bin={}
@@ -2202,7 +6302,7 @@ const esbuildAsync=async ({pkg,outdir,clearOut,files,addBinsToPackageJson,esBuil
 
         console.log(`${pkg.dir} complete - ${(Date.now()-start).toLocaleString()}ms`)
     }catch(ex){
-        console.error(`Failed to build bin ${pkg.binDir}`,ex);
+        console.error(`Failed to build ${outdir}`,ex);
         throw ex;
     }
 }
@@ -2246,9 +6346,10 @@ const buildEsPackageAsync=async (pkg)=>{
         if(dryRun){
             console.log(`dry run> ${cmd}`);
         }else{
-            await spawnAsync({
+            await spawnBuildStepAsync(pkg.dir,{
                 cwd:pkg.dir,
                 cmd,
+                env:await getPackageEnvAsync(pkg.dir),
             })
         }
 
@@ -2363,7 +6464,23 @@ const showUsage=()=>{
 
 --build         [path ...]      Builds packages. If no packages are specified all packages are built.
 --build-peer-internal-only      If present only internal packages ( packages in the packages directory) will be peers
+--since         {git-ref}       Limits --build, --test, --publish and --run-all to packages with files changed
+                                since the git ref and packages that depend on them. Uncommitted and untracked
+                                changes are included. Changes to root files such as package.json or
+                                tsconfig.base.json affect all packages. Without --build-individual-packages
+                                only the affected packages are passed to the single tsc --build pass.
 --build-individual-packages     If present individual packages will be built with tsc instead of building all projects in a single pass
+--cache-dir     {path}          Directory where build outputs and outputs of scripts that define outputs are cached.
+                                Cache keys are hashes of the source files, tsconfig, env and internal dependencies
+                                of packages. A shared directory can be used as a team cache. Can also be set
+                                using the cacheDir prop of the root pkij.json file. Default = .pkij/cache
+--no-cache                      Disables restoring and saving cached outputs
+--report        {path}          Writes a JSON report of --build to the path. The report includes the duration,
+                                commands ran, output size, bin files, asset count and errors of each package.
+                                Without --build-individual-packages the shared tsc command is reported at the
+                                top level of the report instead of per package.
+--report-trace  {path}          Writes a Chrome trace event file of --build to the path. The file can be opened
+                                in chrome://tracing or https://ui.perfetto.dev to view the build timeline.
 
 --update-imports dir            Adds file extensions to all local inputs in the target directory
 
@@ -2389,7 +6506,10 @@ const showUsage=()=>{
 --dryRun                        If present a dry run is preformed and no changes to the filesystem is made
 
 --link          mode            Controls how source files are linked. By default hard links are used.
-                                Modes: hard-link, sym-link, copy
+                                Modes: hard-link, sym-link, copy, dir-link
+                                dir-link symlinks the package directory as a whole so new files in the
+                                source are always visible. Directories containing ignored files are
+                                created as overlay directories that link each of their entries.
 
 --git-ignore
 --gitIgnore                     If present injected packages are not added to the root .gitignore
@@ -2411,6 +6531,58 @@ const showUsage=()=>{
                                 delete changes to files that have not be applied to linked source
                                 files.
 
+--move-new-files                If present files created in the destination of an injected package are
+                                moved into the package source and linked without prompting. --yes does
+                                not move files.
+
+--save-patch    file            Used with --eject. Writes a git compatible patch of all files of the
+                                ejected packages that are not linked to their source or only exist in
+                                the injected package then continues with ejecting instead of stopping.
+                                Files deleted from the injected package are included as deletions.
+
+--apply-patch   file            Applies a patch created by --save-patch to the source directories of
+                                the packages in the patch using git apply
+
+--force                         Injects packages even if the version of the package source or its
+                                dependencies have incompatible major versions. When injecting over an
+                                npm dependency the source version is checked against the removed
+                                version range and the dependencies and peer dependencies of the package
+                                are checked against the host's root package.json.
+
+--no-transitive                 Disables transitive injection. By default the imports of injected packages
+                                are scanned and internal dependencies from the source repo of the package
+                                that are not part of the host repo are offered to be injected along with
+                                the package. Packages injected this way are ejected with the package
+                                that required them.
+
+--recover       [undo|finish]   Finishes or undoes an inject or eject that was interrupted. Inject and
+                                eject changes are journaled and automatically rolled back on failure.
+                                If the process is killed the journal is left in .pkij/journal. undo
+                                reverts the interrupted changes and finish reverts then runs the
+                                interrupted injects and ejects again. If no mode is given you will be
+                                prompted. The .pkij directory is added to the root .gitignore.
+
+--status                        Prints the health of all injected packages including the number of
+                                linked, broken, dest only and source only files and the state of
+                                tsconfig paths, .gitignore entries and removed npm dependencies.
+                                Exits with a non-zero code if any package is out of sync.
+
+--watch        [glob ...]       Watches all injected packages and keeps their files linked. Broken
+                                links caused by atomic saves are re-linked, new source files are
+                                linked and deleted files are reported. Can be combined with --inject.
+                                When combined with --run the package directories of the scripts are
+                                watched instead and scripts are restarted when files change. If globs
+                                are supplied only changes to matching files relative to the package
+                                directory restart scripts.
+
+--reconcile                     If present broken links detected while injecting are reconciled. A diff
+                                of the source and injected file is displayed and you can choose to keep
+                                the source file, keep the injected file (copied back to the source) or
+                                write a .conflict file containing both versions next to the injected file.
+
+--reconcile-default mode        The choice used when reconciling with --yes. Implies --reconcile.
+                                Modes: source, dest, conflict, newer. Default = conflict
+
 --ignore        [path ...]      A list of paths to ignore. The ignored paths will not be linked when
                                 injecting packages
 
@@ -2426,11 +6598,73 @@ const showUsage=()=>{
                                 3. A shell file named {name}.sh
                                 4. A shell file named scripts/{name}.sh
 
+                                Scripts in a .pkij file can be objects with the following props:
+                                cmd       - Command to run
+                                dependsOn - Scripts to run before the script. Scripts of other packages
+                                            are referenced as {pkg}:{name}
+                                parallel  - Scripts to run in parallel after dependsOn
+                                cwd       - Directory to run cmd in relative to the package
+                                env       - Env variables set when running cmd
+                                timeout   - Milliseconds cmd can run before failing
+                                retries   - Number of times to retry cmd if it fails
+                                outputs   - Files and directories created by cmd. If defined outputs are
+                                            cached and restored instead of running cmd when the files
+                                            and env of the package are unchanged
+                                Each script is ran at most once per invocation.
+
+--run-all      [name ...]       Runs a script by name in all packages in the packages directory that
+                                define the script. Scripts are searched for the same way as --run.
+                                Packages are ran in dependency order and packages that do not depend
+                                on each other are ran in parallel. Output is prefixed with the
+                                package name.
+
+--args         [arg ...]        Arguments passed to scripts ran by --run and --run-all. Arguments can
+                                also be passed after a -- separator, all arguments after -- are
+                                passed to scripts.
+                                Scripts defined in a scripts object can use \${1} and \${name}
+                                placeholders that are filled with positional and name=value
+                                arguments and \${@} that is filled with all arguments. Defaults can be
+                                defined as \${1:-default}. Arguments not used by placeholders are
+                                appended to the command.
+
+--concurrency  {count}          Max number of scripts ran by --run-all or packages built at the same time.
+                                Individual package builds are ran in dependency order. Default = 4
+
+--continue-on-error             If a package fails to build or a --run-all script fails packages that do
+                                not depend on the failed package continue. By default no new builds or
+                                scripts are started after a failure.
+
 --env          [pathOrName ...] Path or name of .env files to load. If no period or slash is in the
                                 value is treated as a name and a file of .env.{name} or .env-{name}
                                 will be searched for in the current directory.
                                 By default .env, .env.local, .env.secrets and .env.local-secrets are
-                                loaded.
+                                loaded. Env files use the dotenv format including quoted and multiline
+                                values, export prefixes, inline comments and \${NAME} or
+                                \${NAME:-default} expansion of previously loaded values.
+                                Scripts ran with --run and packages built with --build also load
+                                the env files of the package directory on top of the root env files.
+
+--env-encrypt  [path ...]       Encrypts env files and writes them to {path}.enc. The key is read from
+                                the PKIJ_ENV_KEY env variable or the env key file. If no key exists
+                                a new key is generated, written to the env key file and added to .gitignore.
+                                When an env file is loaded {path}.enc is decrypted and loaded before
+                                {path}. Encrypted env files can be committed, the key file must not be.
+
+--env-decrypt  [path ...]       Decrypts {path}.enc and writes the result to {path}
+
+--env-edit     {path}           Decrypts {path}.enc to a temporary file, opens it using the VISUAL or
+                                EDITOR env variable then encrypts the edited file. {path}.enc is
+                                created if it does not exist.
+
+--env-key-file {path}           Path of the key file used for encrypted env files. Default = .env.key
+
+--env-print                     Prints all loaded env variables, their final values and the files
+                                that set them in the order they were loaded. Values of variables
+                                with secret like names or that were set by a secrets file are masked.
+
+--env-export   {format} [path]  Writes all loaded env variables as a .env file (env), JSON object (json)
+                                or shell script of export statements (sh). If path is not supplied
+                                the result is written to stdout.
 
 --disable-branch-env            Disables loading .env.branch-{current git branch}
 
@@ -2447,6 +6681,226 @@ const showUsage=()=>{
 
 
 
+/**
+ * Returns true if the buffer looks like binary data
+ * @param {Buffer} buf
+ * @returns {boolean}
+ */
+const isBinaryBuffer=(buf)=>{
+    return buf.subarray(0,8000).includes(0);
+}
+
+/**
+ * Splits text into lines. Line terminators are kept so that a missing newline at the end of a file
+ * is treated as a difference.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const splitDiffLines=(text)=>{
+    return text.match(/[^\n]*\n|[^\n]+$/g)??[];
+}
+
+/**
+ * @typedef DiffOp
+ * @prop {' '|'-'|'+'} type
+ * @prop {string} line
+ * @prop {number} aI Index of the line in the "a" list of lines
+ * @prop {number} bI Index of the line in the "b" list of lines
+ */
+
+/**
+ * Max number of changed lines diffLines computes an edit script for. The memory used by the
+ * search grows with the square of the number of changes.
+ */
+const maxDiffEdits=4000;
+
+/**
+ * Computes the shortest edit script between 2 lists of lines using the Myers diff algorithm.
+ * Returns null if more than maxDiffEdits lines changed.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {DiffOp[]|null}
+ */
+const diffLines=(a,b)=>{
+    const n=a.length;
+    const m=b.length;
+    const max=n+m;
+    const offset=max+1;
+    const v=new Int32Array(max*2+3);
+    /**
+     * Only the diagonals reachable in d steps are stored for each step. trace[d][i] is the value of
+     * diagonal i-d-1.
+     * @type {Int32Array[]}
+     */
+    const trace=[];
+
+    search: for(let d=0;d<=max;d++){
+        if(d>maxDiffEdits){
+            return null;
+        }
+        trace.push(v.slice(offset-d-1,offset+d+2));
+        for(let k=-d;k<=d;k+=2){
+            let x=(k===-d || (k!==d && v[offset+k-1]<v[offset+k+1]))?v[offset+k+1]:v[offset+k-1]+1;
+            let y=x-k;
+            while(x<n && y<m && a[x]===b[y]){
+                x++;
+                y++;
+            }
+            v[offset+k]=x;
+            if(x>=n && y>=m){
+                break search;
+            }
+        }
+    }
+
+    /** @type {DiffOp[]} */
+    const ops=[];
+    let x=n;
+    let y=m;
+    for(let d=trace.length-1;d>=0;d--){
+        const tv=trace[d];
+        const k=x-y;
+        const prevK=(k===-d || (k!==d && tv[k+d]<tv[k+d+2]))?k+1:k-1;
+        const prevX=tv[prevK+d+1];
+        const prevY=prevX-prevK;
+        while(x>prevX && y>prevY){
+            x--;
+            y--;
+            ops.push({type:' ',line:a[x],aI:x,bI:y});
+        }
+        if(d>0){
+            if(x===prevX){
+                ops.push({type:'+',line:b[prevY],aI:prevX,bI:prevY});
+            }else{
+                ops.push({type:'-',line:a[prevX],aI:prevX,bI:prevY});
+            }
+        }
+        x=prevX;
+        y=prevY;
+    }
+    ops.reverse();
+    return ops;
+}
+
+/**
+ * Creates a unified diff of 2 strings. An empty string is returned if the strings are the same and
+ * null is returned if too many lines changed to compute a diff.
+ * @param {string} a
+ * @param {string} b
+ * @param {string} aName
+ * @param {string} bName
+ * @param {number} context Number of unchanged lines to include around changes
+ * @returns {string|null}
+ */
+const createUnifiedDiff=(a,b,aName,bName,context=3)=>{
+    const ops=diffLines(splitDiffLines(a),splitDiffLines(b));
+    if(!ops){
+        return null;
+    }
+
+    /** @type {{start:number,end:number}[]} */
+    const hunks=[];
+    for(let i=0;i<ops.length;i++){
+        if(ops[i].type===' '){
+            continue;
+        }
+        const start=Math.max(0,i-context);
+        const end=Math.min(ops.length,i+context+1);
+        const last=hunks[hunks.length-1];
+        if(last && start<=last.end){
+            last.end=end;
+        }else{
+            hunks.push({start,end});
+        }
+    }
+
+    if(!hunks.length){
+        return '';
+    }
+
+    const out=[`--- ${aName}`,`+++ ${bName}`];
+    for(const h of hunks){
+        const hOps=ops.slice(h.start,h.end);
+        const aLen=hOps.filter(o=>o.type!=='+').length;
+        const bLen=hOps.filter(o=>o.type!=='-').length;
+        const aStart=hOps[0].aI+(aLen?1:0);
+        const bStart=hOps[0].bI+(bLen?1:0);
+        out.push(`@@ -${aStart},${aLen} +${bStart},${bLen} @@`);
+        for(const o of hOps){
+            if(o.line.endsWith('\n')){
+                out.push(o.type+o.line.substring(0,o.line.length-1));
+            }else{
+                out.push(o.type+o.line,'\\ No newline at end of file');
+            }
+        }
+    }
+    return out.join('\n')+'\n';
+}
+
+/**
+ * Prints a unified diff using terminal colors
+ * @param {string} diff
+ */
+const printDiff=(diff)=>{
+    const lines=diff.split('\n');
+    if(!lines[lines.length-1]){
+        lines.pop();
+    }
+    for(const line of lines){
+        if(line.startsWith('+++') || line.startsWith('---')){
+            console.log(`\x1b[1m${line}\x1b[0m`);
+        }else if(line.startsWith('@@')){
+            console.log(`\x1b[36m${line}\x1b[0m`);
+        }else if(line.startsWith('+')){
+            console.log(`\x1b[32m${line}\x1b[0m`);
+        }else if(line.startsWith('-')){
+            console.log(`\x1b[31m${line}\x1b[0m`);
+        }else{
+            console.log(line);
+        }
+    }
+}
+
+/**
+ * Creates the content of a conflict file using git style conflict markers. If too many lines
+ * changed to compute a diff the whole files are placed in a single conflict.
+ * @param {string} a
+ * @param {string} b
+ * @param {string} aName
+ * @param {string} bName
+ * @returns {string}
+ */
+const createConflictText=(a,b,aName,bName)=>{
+    const out=[];
+    let conflict=null;
+    const flush=()=>{
+        if(!conflict){
+            return;
+        }
+        out.push(`<<<<<<< ${aName}\n`,...conflict.a,'=======\n',...conflict.b,`>>>>>>> ${bName}\n`);
+        conflict=null;
+    }
+    const ops=diffLines(splitDiffLines(a),splitDiffLines(b));
+    if(!ops){
+        const nl=(text)=>(!text || text.endsWith('\n'))?text:text+'\n';
+        return `<<<<<<< ${aName}\n${nl(a)}=======\n${nl(b)}>>>>>>> ${bName}\n`;
+    }
+    for(const o of ops){
+        const line=o.line.endsWith('\n')?o.line:o.line+'\n';
+        if(o.type===' '){
+            flush();
+            out.push(line);
+        }else{
+            if(!conflict){
+                conflict={a:[],b:[]};
+            }
+            (o.type==='-'?conflict.a:conflict.b).push(line);
+        }
+    }
+    flush();
+    return out.join('');
+}
+
 const bsReg=/\\/g;
 const doubleSlashReg=/\/{2,}/g;
 const sdsReg=/\/\.\//g;
@@ -2530,11 +6984,27 @@ const joinPaths=(...paths)=>
     return path;
 }
 
-(async ()=>{
-    try{
-        await main();
-    }catch(ex){
-        console.error('pkij failed',ex);
-        process.exit(1);
-    }
-})()
+if(require.main===module){
+    (async ()=>{
+        try{
+            await main();
+        }catch(ex){
+            console.error('pkij failed',ex);
+            process.exit(1);
+        }
+    })()
+}
+
+// Exported for tests. pkij is used as a CLI and does not have a public API.
+module.exports={
+    diffLines,
+    createUnifiedDiff,
+    createConflictText,
+    journalFile,
+    rollbackJournalAsync,
+    parseVersion,
+    satisfiesRange,
+    checkVersion,
+    parseEnv,
+    runInDependencyOrderAsync,
+}
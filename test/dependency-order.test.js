@@ -0,0 +1,102 @@
+const {describe,it}=require('node:test');
+const assert=require('node:assert/strict');
+const {runInDependencyOrderAsync}=require('../pkij.js');
+
+/**
+ * @param {Record<string,string[]>} graph
+ * @returns {(item:string)=>string[]}
+ */
+const depsOf=(graph)=>item=>graph[item]??[];
+
+const tick=()=>new Promise(r=>setTimeout(r,1));
+
+describe('runInDependencyOrderAsync',()=>{
+
+    it('runs items after their dependencies',async ()=>{
+        const graph={a:['b','c'],b:['c'],c:[]};
+        const order=[];
+        await runInDependencyOrderAsync(['a','b','c'],depsOf(graph),async item=>{
+            await tick();
+            order.push(item);
+        },10);
+        assert.deepEqual(order,['c','b','a']);
+    });
+
+    it('follows dependencies that are not items',async ()=>{
+        const graph={a:['x'],x:['b'],b:[]};
+        const order=[];
+        await runInDependencyOrderAsync(['a','b'],depsOf(graph),async item=>{
+            await tick();
+            order.push(item);
+        },10);
+        assert.deepEqual(order,['b','a']);
+    });
+
+    it('limits the number of callbacks running at the same time',async ()=>{
+        let running=0;
+        let maxRunning=0;
+        await runInDependencyOrderAsync(['a','b','c','d','e'],()=>[],async ()=>{
+            running++;
+            maxRunning=Math.max(maxRunning,running);
+            await tick();
+            running--;
+        },2);
+        assert.equal(maxRunning,2);
+    });
+
+    it('throws on circular dependencies',async ()=>{
+        const graph={a:['b'],b:['a'],c:[]};
+        const ran=[];
+        await assert.rejects(
+            runInDependencyOrderAsync(['a','b','c'],depsOf(graph),async item=>{ran.push(item)},10),
+            /Circular dependency between a, b/
+        );
+        assert.deepEqual(ran,['c']);
+    });
+
+    it('stops starting callbacks after a failure',async ()=>{
+        const graph={b:['a'],c:[]};
+        const ran=[];
+        await assert.rejects(
+            runInDependencyOrderAsync(['a','b','c'],depsOf(graph),async item=>{
+                ran.push(item);
+                await tick();
+                if(item==='a'){
+                    throw new Error('a failed');
+                }
+            },1),
+            /a failed/
+        );
+        assert.deepEqual(ran,['a']);
+    });
+
+    it('runs items that do not depend on failed items when continuing on failure',async ()=>{
+        const graph={b:['a'],c:['b'],d:[]};
+        const ran=[];
+        await assert.rejects(
+            runInDependencyOrderAsync(['a','b','c','d'],depsOf(graph),async item=>{
+                ran.push(item);
+                await tick();
+                if(item==='a'){
+                    throw new Error('a failed');
+                }
+            },1,true),
+            /a failed/
+        );
+        assert.deepEqual(ran,['a','d']);
+    });
+
+    it('does not report skipped dependents of failed items as circular dependencies',async ()=>{
+        // a is checked before b is skipped so a single pass leaves a pending with no running items
+        const graph={a:['b'],b:['c'],c:[]};
+        const ran=[];
+        await assert.rejects(
+            runInDependencyOrderAsync(['a','b','c'],depsOf(graph),async item=>{
+                ran.push(item);
+                throw new Error(`${item} failed`);
+            },10,true),
+            /c failed/
+        );
+        assert.deepEqual(ran,['c']);
+    });
+});
@@ -0,0 +1,62 @@
+const {describe,it}=require('node:test');
+const assert=require('node:assert/strict');
+const {parseEnv}=require('../pkij.js');
+
+/**
+ * @param {string} text
+ * @param {Record<string,string>} loaded
+ */
+const parse=(text,loaded={})=>parseEnv(text,name=>loaded[name]);
+
+describe('parseEnv',()=>{
+
+    it('parses unquoted values, export prefixes and comments',()=>{
+        assert.deepEqual(parse([
+            '# comment',
+            'A=1',
+            'export B = two words  # comment',
+            '  C=a#b',
+            'D=',
+            'not a value',
+        ].join('\n')),{A:'1',B:'two words',C:'a#b',D:''});
+    });
+
+    it('handles windows line endings',()=>{
+        assert.deepEqual(parse('A=1\r\nB="2"\r\n'),{A:'1',B:'2'});
+    });
+
+    it('parses quoted values spanning multiple lines',()=>{
+        assert.deepEqual(parse('A="line 1\nline 2"\nB=\'x\ny\'\nC=3'),{A:'line 1\nline 2',B:'x\ny',C:'3'});
+    });
+
+    it('handles escapes in double quoted values',()=>{
+        assert.deepEqual(parse('A="a\\nb\\t\\"c\\" \\\\ \\$HOME"'),{A:'a\nb\t"c" \\ $HOME'});
+    });
+
+    it('uses single quoted values as is',()=>{
+        assert.deepEqual(parse("A='$B \\n ${C}'",{B:'b',C:'c'}),{A:'$B \\n ${C}'});
+    });
+
+    it('expands variables defined earlier and loaded values',()=>{
+        assert.deepEqual(parse([
+            'A=a',
+            'B=$A-${A}',
+            'C="${LOADED}/x"',
+            'D=${MISSING}',
+        ].join('\n'),{LOADED:'l'}),{A:'a',B:'a-a',C:'l/x',D:''});
+    });
+
+    it('supports default values',()=>{
+        assert.deepEqual(parse([
+            'EMPTY=',
+            'A=${MISSING:-d}',
+            'B=${EMPTY:-d}',
+            'C=${EMPTY-d}',
+            'D=${MISSING-${A}x}',
+        ].join('\n')),{EMPTY:'',A:'d',B:'d',C:'',D:'dx'});
+    });
+
+    it('treats unterminated quotes as unquoted values',()=>{
+        assert.deepEqual(parse('A="abc\nB=2'),{A:'"abc',B:'2'});
+    });
+});
@@ -0,0 +1,85 @@
+const {describe,it,beforeEach,afterEach}=require('node:test');
+const assert=require('node:assert/strict');
+const fs=require('node:fs/promises');
+const os=require('node:os');
+const Path=require('node:path');
+const {journalFile,rollbackJournalAsync}=require('../pkij.js');
+
+describe('rollbackJournalAsync',()=>{
+
+    const cwd=process.cwd();
+    let dir='';
+
+    beforeEach(async ()=>{
+        dir=await fs.mkdtemp(Path.join(os.tmpdir(),'pkij-journal-'));
+        process.chdir(dir);
+        await fs.mkdir(Path.dirname(journalFile),{recursive:true});
+    });
+
+    afterEach(async ()=>{
+        process.chdir(cwd);
+        await fs.rm(dir,{recursive:true,force:true});
+    });
+
+    /**
+     * @param {any[]} entries
+     */
+    const writeJournalAsync=async (entries)=>{
+        await fs.writeFile(journalFile,entries.map(e=>JSON.stringify(e)+'\n').join(''));
+    }
+
+    const exists=(path)=>fs.lstat(path).then(()=>true,()=>false);
+
+    it('removes created files and restores modified files',async ()=>{
+        await fs.writeFile('created.txt','new');
+        await fs.writeFile('modified.txt','changed');
+        await fs.writeFile('backup','original');
+        await writeJournalAsync([
+            {type:'begin',actions:[]},
+            {type:'create',path:Path.resolve('created.txt')},
+            {type:'modify',path:Path.resolve('modified.txt'),backup:Path.resolve('backup')},
+        ]);
+
+        await rollbackJournalAsync();
+
+        assert.equal(await exists('created.txt'),false);
+        assert.equal(await fs.readFile('modified.txt','utf8'),'original');
+        assert.equal(await exists(journalFile),false);
+    });
+
+    it('removes modified files that did not exist before',async ()=>{
+        await fs.writeFile('modified.txt','changed');
+        await writeJournalAsync([{type:'modify',path:Path.resolve('modified.txt'),backup:null}]);
+
+        await rollbackJournalAsync();
+
+        assert.equal(await exists('modified.txt'),false);
+    });
+
+    it('moves deleted files back from their backup',async ()=>{
+        await fs.writeFile('backup','deleted');
+        await writeJournalAsync([{type:'delete',path:Path.resolve('deleted.txt'),backup:Path.resolve('backup')}]);
+
+        await rollbackJournalAsync();
+
+        assert.equal(await fs.readFile('deleted.txt','utf8'),'deleted');
+    });
+
+    it('keeps files whose delete was recorded but never moved to the backup',async ()=>{
+        await fs.writeFile('file.txt','keep');
+        await writeJournalAsync([{type:'delete',path:Path.resolve('file.txt'),backup:Path.resolve('backup')}]);
+
+        await rollbackJournalAsync();
+
+        assert.equal(await fs.readFile('file.txt','utf8'),'keep');
+    });
+
+    it('ignores an incomplete last entry',async ()=>{
+        await fs.writeFile('created.txt','new');
+        await fs.writeFile(journalFile,JSON.stringify({type:'create',path:Path.resolve('created.txt')})+'\n{"type":"cre');
+
+        await rollbackJournalAsync();
+
+        assert.equal(await exists('created.txt'),false);
+    });
+});
@@ -0,0 +1,98 @@
+const {describe,it}=require('node:test');
+const assert=require('node:assert/strict');
+const {diffLines,createUnifiedDiff,createConflictText}=require('../pkij.js');
+
+/**
+ * Applies the ops of a diff to the "a" lines
+ * @param {{type:string,line:string}[]} ops
+ * @returns {string[]}
+ */
+const applyOps=(ops)=>ops.filter(o=>o.type!=='-').map(o=>o.line);
+
+describe('diffLines',()=>{
+
+    it('returns only unchanged ops for equal lines',()=>{
+        const ops=diffLines(['a','b'],['a','b']);
+        assert.deepEqual(ops.map(o=>o.type),[' ',' ']);
+    });
+
+    it('finds the shortest edit script',()=>{
+        const ops=diffLines(['a','b','c'],['a','x','c']);
+        assert.deepEqual(ops.map(o=>o.type+o.line),[' a','-b','+x',' c']);
+    });
+
+    it('produces ops that transform a into b',()=>{
+        const a=['1','2','3','4','5','6'];
+        const b=['0','2','3','5','6','7','8'];
+        const ops=diffLines(a,b);
+        assert.deepEqual(applyOps(ops),b);
+        assert.deepEqual(ops.filter(o=>o.type!=='+').map(o=>o.line),a);
+        assert.equal(ops.filter(o=>o.type!==' ').length,5);
+    });
+
+    it('handles empty lists',()=>{
+        assert.deepEqual(diffLines([],[]),[]);
+        assert.deepEqual(diffLines([],['a']).map(o=>o.type),['+']);
+        assert.deepEqual(diffLines(['a'],[]).map(o=>o.type),['-']);
+    });
+
+    it('returns null when too many lines changed',()=>{
+        const a=[];
+        const b=[];
+        for(let i=0;i<2100;i++){
+            a.push('a'+i);
+            b.push('b'+i);
+        }
+        assert.equal(diffLines(a,b),null);
+    });
+});
+
+describe('createUnifiedDiff',()=>{
+
+    it('returns an empty string for equal text',()=>{
+        assert.equal(createUnifiedDiff('a\n','a\n','a/f','b/f'),'');
+    });
+
+    it('creates hunks with context',()=>{
+        assert.equal(
+            createUnifiedDiff('a\nb\nc\n','a\nx\nc\n','a/f','b/f'),
+            '--- a/f\n+++ b/f\n@@ -1,3 +1,3 @@\n a\n-b\n+x\n c\n'
+        );
+    });
+
+    it('creates patches of new and deleted files',()=>{
+        assert.equal(
+            createUnifiedDiff('','a\n','/dev/null','b/f'),
+            '--- /dev/null\n+++ b/f\n@@ -0,0 +1,1 @@\n+a\n'
+        );
+        assert.equal(
+            createUnifiedDiff('a\nb\n','','a/f','/dev/null'),
+            '--- a/f\n+++ /dev/null\n@@ -1,2 +0,0 @@\n-a\n-b\n'
+        );
+    });
+});
+
+describe('createConflictText',()=>{
+
+    it('wraps changed lines in conflict markers',()=>{
+        assert.equal(
+            createConflictText('a\nb\nc\n','a\nx\nc\n','source','dest'),
+            'a\n<<<<<<< source\nb\n=======\nx\n>>>>>>> dest\nc\n'
+        );
+    });
+
+    it('returns the text unchanged when there are no differences',()=>{
+        assert.equal(createConflictText('a\nb\n','a\nb\n','source','dest'),'a\nb\n');
+    });
+
+    it('places whole files in a single conflict when too many lines changed',()=>{
+        const a=[];
+        const b=[];
+        for(let i=0;i<2100;i++){
+            a.push('a'+i);
+            b.push('b'+i);
+        }
+        const text=createConflictText(a.join('\n')+'\n',b.join('\n')+'\n','source','dest');
+        assert.equal(text,`<<<<<<< source\n${a.join('\n')}\n=======\n${b.join('\n')}\n>>>>>>> dest\n`);
+    });
+});
@@ -0,0 +1,76 @@
+const {describe,it}=require('node:test');
+const assert=require('node:assert/strict');
+const {parseVersion,satisfiesRange,checkVersion}=require('../pkij.js');
+
+/**
+ * @param {string} version
+ * @param {string} range
+ */
+const satisfies=(version,range)=>satisfiesRange(parseVersion(version),range);
+
+describe('parseVersion',()=>{
+
+    it('parses releases and prereleases',()=>{
+        assert.deepEqual(parseVersion('1.2.3'),{major:1,minor:2,patch:3,pre:''});
+        assert.deepEqual(parseVersion('v1.2.3-beta.1+build.5'),{major:1,minor:2,patch:3,pre:'beta.1'});
+    });
+
+    it('returns null for partial and invalid versions',()=>{
+        assert.equal(parseVersion('1.2'),null);
+        assert.equal(parseVersion('latest'),null);
+    });
+});
+
+describe('satisfiesRange',()=>{
+
+    it('treats the first non-zero part as the major version of caret ranges',()=>{
+        assert.equal(satisfies('1.9.0','^1.2.3'),true);
+        assert.equal(satisfies('2.0.0','^1.2.3'),false);
+        assert.equal(satisfies('0.2.5','^0.2.0'),true);
+        assert.equal(satisfies('0.3.0','^0.2.0'),false);
+        assert.equal(satisfies('0.0.4','^0.0.3'),false);
+    });
+
+    it('limits tilde ranges to the minor version',()=>{
+        assert.equal(satisfies('1.2.9','~1.2.3'),true);
+        assert.equal(satisfies('1.3.0','~1.2.3'),false);
+        assert.equal(satisfies('1.9.0','~1'),true);
+    });
+
+    it('supports x-ranges, hyphen ranges and alternatives',()=>{
+        assert.equal(satisfies('1.4.0','1.x'),true);
+        assert.equal(satisfies('2.0.0','1.x'),false);
+        assert.equal(satisfies('5.0.0','*'),true);
+        assert.equal(satisfies('2.5.0','1.0.0 - 2.x'),true);
+        assert.equal(satisfies('3.0.0','1.0.0 - 2.x'),false);
+        assert.equal(satisfies('3.1.0','^1.0.0 || ^3.0.0'),true);
+        assert.equal(satisfies('2.1.0','^1.0.0 || ^3.0.0'),false);
+        assert.equal(satisfies('1.5.0','>= 1.2.0 < 2'),true);
+        assert.equal(satisfies('2.0.0','>= 1.2.0 < 2'),false);
+    });
+
+    it('only matches prereleases included by the range',()=>{
+        assert.equal(satisfies('1.2.4-beta.1','^1.2.3'),false);
+        assert.equal(satisfies('2.0.0-rc.1','>=1.0.0'),false);
+        assert.equal(satisfies('1.2.3-beta.2','^1.2.3-beta.1'),true);
+        assert.equal(satisfies('1.2.3-alpha.1','^1.2.3-beta.1'),false);
+    });
+
+    it('returns null for ranges that are not versions',()=>{
+        assert.equal(satisfies('1.0.0','file:../lib'),null);
+        assert.equal(satisfies('1.0.0','github:user/repo#main'),null);
+        assert.equal(satisfies('1.0.0','workspace:*'),null);
+    });
+});
+
+describe('checkVersion',()=>{
+
+    it('reports the status of installed versions',()=>{
+        assert.equal(checkVersion('a','^1.2.0','1.3.0').status,'ok');
+        assert.equal(checkVersion('a','^1.2.0','1.1.0').status,'mismatch');
+        assert.equal(checkVersion('a','^1.2.0','2.0.0').status,'major');
+        assert.equal(checkVersion('a','^0.2.0','0.3.0').status,'major');
+        assert.equal(checkVersion('a','^1.2.0',undefined).status,'unknown');
+        assert.equal(checkVersion('a','file:../a','1.0.0').status,'unknown');
+    });
+});